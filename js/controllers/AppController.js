@@ -44,16 +44,16 @@ class AppController {
                     this.view.hideFeedbackModal();
                     this.view.clearAndFocusInput();
 
-                    // Check if we're in the middle of a multi-step Place Value problem
+                    // Check if we're in the middle of a multi-step problem
                     const problem = this.model?.currentProblem;
-                    if (problem && problem.operation === 'place_value_calculation' && problem.currentStep && problem.currentStep < 5) {
+                    if (this.isMultiStepInProgress(problem)) {
                         // Don't generate new problem - we're still in multi-step mode
                         return;
                     }
 
-                    // Generate next problem after dismissing
+                    // Continue the reading or generate next problem after dismissing
                     if (this.model) {
-                        this.generateNewProblem();
+                        this.showNextSentenceOrProblem();
                     }
                     return;
                 }
@@ -64,9 +64,9 @@ class AppController {
                     this.view.hideMessage();
                     this.view.clearAndFocusInput();
 
-                    // Check if we're in the middle of a multi-step Place Value problem
+                    // Check if we're in the middle of a multi-step problem
                     const problem = this.model?.currentProblem;
-                    if (problem && problem.operation === 'place_value_calculation' && problem.currentStep && problem.currentStep < 5) {
+                    if (this.isMultiStepInProgress(problem)) {
                         // Don't generate new problem - we're still in multi-step mode
                         return;
                     }
@@ -246,12 +246,17 @@ class AppController {
         this.pushToStackIfNotPresent('activity');
 
         // Get the operation extension
-        const operationExtension = this.activityManager.getOperationExtension(operationName);
+        let operationExtension = this.activityManager.getOperationExtension(operationName);
         if (!operationExtension) {
             console.error(`Operation ${operationName} not found`);
             return;
         }
 
+        // Review mixes the other operations at the levels this child has already played
+        if (this.currentSubject === 'math' && this.activityManager.isCompositeOperation(operationName)) {
+            operationExtension = new operationExtension(this.activityManager, this.userStorage.getPlayedLevels());
+        }
+
         // Initialize the model with the selected operation
         // Choose the correct model class based on subject
         if (this.currentSubject === 'math') {
@@ -302,11 +307,41 @@ class AppController {
             this.startLevel(level, operation);
         });
 
+        // Offer the parent number line setting where levels support it
+        this.setupNumberLineToggle();
+
         // Show level selection screen
         this.view.showScreen('level-select');
         this.view.updateGameStatus(this.model.getGameState());
     }
 
+    // Show and bind the number line setting if any level of this activity offers it
+    setupNumberLineToggle() {
+        const offersNumberLine = Object.values(this.model.levels)
+            .some(level => level.numberLine === 'optional');
+
+        if (!offersNumberLine) {
+            this.view.renderNumberLineToggle(null);
+            return;
+        }
+
+        this.view.renderNumberLineToggle(this.userStorage.isNumberLineEnabled());
+        this.view.bindNumberLineToggle(() => {
+            const enabled = !this.userStorage.isNumberLineEnabled();
+            this.userStorage.setNumberLineEnabled(enabled);
+            this.view.renderNumberLineToggle(enabled);
+        });
+    }
+
+    // Check if the current level explains wrong answers with a number line
+    shouldShowNumberLine() {
+        const level = this.model.levels[this.model.currentLevel];
+        if (!level || !level.numberLine) {
+            return false;
+        }
+        return level.numberLine === 'always' || this.userStorage.isNumberLineEnabled();
+    }
+
     // Start a new level
     startLevel(level, operation) {
         if (!this.model) {
@@ -326,6 +361,11 @@ class AppController {
         this.model.resetStats();
         this.view.showScreen('game-screen');
 
+        // Remember the played math levels so the review can mix them in later
+        if (this.currentSubject === 'math' && !this.activityManager.isCompositeOperation(this.currentActivity)) {
+            this.userStorage.recordPlayedLevel(this.currentActivity, level);
+        }
+
         // Update breadcrumb with level description (not "LEVEL X")
         const subjectKey = this.subjectManager.getSubjectKey(this.currentSubject);
         const activityKey = this.activityManager.getOperationKey(this.currentActivity);
@@ -364,6 +404,33 @@ class AppController {
         if (this.currentSubject === 'bulgarian') {
             // Bulgarian: block all character input, allow only navigation/control keys
             inputFilter = (e) => {
+                // Self-checked problems: the child types one of the allowed answers (e.g. 1-4) or a letter
+                const problem = this.model.currentProblem;
+                if (problem && problem.selfChecked) {
+                    // Letter answers: the typed letter replaces the previous one
+                    const letter = problem.letterInput ? this.model.getTypedLetter(e.key) : null;
+                    if (letter) {
+                        e.preventDefault();
+                        this.view.setUserInput(letter);
+                        return;
+                    }
+                    if (problem.allowedSymbols && problem.allowedSymbols.includes(e.key)) {
+                        return;
+                    }
+                    if (e.key === 'Backspace' && this.view.getUserInput() !== '') {
+                        return; // Allow normal backspace behavior
+                    }
+                }
+
+                // Sentences: number keys mark the words the child stumbled on
+                if (problem && problem.pages && e.key >= '1' && e.key <= '9') {
+                    e.preventDefault();
+                    if (!this.view.isFeedbackModalVisible() && this.model.toggleStumbledWord(parseInt(e.key) - 1)) {
+                        this.view.displayProblem(problem);
+                    }
+                    return;
+                }
+
                 // Handle backspace for navigation only
                 if (e.key === 'Backspace') {
                     // Prevent default browser behavior
@@ -392,6 +459,12 @@ class AppController {
         } else if (this.currentSubject === 'math') {
             // Math: allow only numeric input (0-9) and backspace navigation
             inputFilter = (e) => {
+                // Problems with symbol answers (e.g. <, >, = for comparison) accept only those symbols
+                const allowedSymbols = this.model.currentProblem?.allowedSymbols;
+                if (allowedSymbols && allowedSymbols.includes(e.key)) {
+                    return;
+                }
+
                 // Handle + key for tooltips
                 if (e.key === '+' || e.key === '=') { // = is + on many keyboards without shift
                     this.handlePlusKey();
@@ -418,7 +491,7 @@ class AppController {
                     return; // Allow control keys
                 }
                 // Allow only digits 0-9
-                if (e.key >= '0' && e.key <= '9') {
+                if (!allowedSymbols && e.key >= '0' && e.key <= '9') {
                     return; // Allow numeric input
                 }
                 // Block all other input (letters, symbols, etc.)
@@ -445,16 +518,16 @@ class AppController {
             this.view.hideFeedbackModal();
             this.view.clearAndFocusInput();
 
-            // Check if we're in the middle of a multi-step Place Value problem
+            // Check if we're in the middle of a multi-step problem
             const problem = this.model.currentProblem;
-            if (problem && problem.operation === 'place_value_calculation' && problem.currentStep && problem.currentStep < 5) {
+            if (this.isMultiStepInProgress(problem)) {
                 // Don't generate new problem - we're still in multi-step mode
                 // Just clear the message and wait for next input
                 return;
             }
 
-            // Generate next problem after dismissing
-            this.generateNewProblem();
+            // Continue the reading or generate next problem after dismissing
+            this.showNextSentenceOrProblem();
             return;
         }
 
@@ -463,9 +536,9 @@ class AppController {
             this.view.hideMessage();
             this.view.clearAndFocusInput();
 
-            // Check if we're in the middle of a multi-step Place Value problem
+            // Check if we're in the middle of a multi-step problem
             const problem = this.model.currentProblem;
-            if (problem && problem.operation === 'place_value_calculation' && problem.currentStep && problem.currentStep < 5) {
+            if (this.isMultiStepInProgress(problem)) {
                 // Don't generate new problem - we're still in multi-step mode
                 // Just clear the message and wait for next input
                 return;
@@ -480,14 +553,35 @@ class AppController {
         this.checkAnswer();
     }
 
+    // Sentences and stories continue with their next sentence; anything else gets a new problem
+    showNextSentenceOrProblem() {
+        const problem = this.model.currentProblem;
+        if (problem && problem.pages && this.model.nextSentence()) {
+            this.view.displayProblem(problem);
+            return;
+        }
+        this.generateNewProblem();
+    }
+
+    // Check if a multi-step problem still has steps left to answer
+    isMultiStepInProgress(problem) {
+        return Boolean(problem && problem.stepAnswers && problem.currentStep &&
+            problem.currentStep <= problem.stepAnswers.length);
+    }
+
     // Handle + key press - show tooltips if available
     handlePlusKey() {
         const problem = this.model.currentProblem;
 
         // Check if current problem has info icon (tooltips available)
         if (problem && problem.hasInfoIcon) {
-            // Determine which tooltip to show based on operation
-            const tooltipKey = problem.operationSign === '-' ? 'TOOLTIP_BORROW' : 'TOOLTIP_CARRY';
+            // The current step names its own tooltip (carry, borrow, ...)
+            // Past the last step (problem solved) there is nothing to explain
+            const step = problem.steps[problem.currentStep - 1];
+            if (!step || !step.tooltipKey) {
+                return;
+            }
+            const tooltipKey = step.tooltipKey;
 
             if (this.view.isTooltipVisible()) {
                 // Tooltip is visible, cycle to next or close
@@ -506,8 +600,8 @@ class AppController {
         if (this.view.isFeedbackModalVisible()) {
             this.view.hideFeedbackModal();
             this.view.clearAndFocusInput();
-            // Generate next problem after dismissing
-            this.generateNewProblem();
+            // Continue the reading or generate next problem after dismissing
+            this.showNextSentenceOrProblem();
             return;
         }
 
@@ -520,6 +614,12 @@ class AppController {
             return;
         }
 
+        // Self-checked problems are judged by the child's answer - Delete only clears it
+        if (this.model.currentProblem && this.model.currentProblem.selfChecked) {
+            this.view.clearAndFocusInput();
+            return;
+        }
+
         // For Bulgarian subject, Delete means wrong answer
         this.checkAnswerAsWrong();
     }
@@ -543,14 +643,29 @@ class AppController {
         const isEmojiLetterRecognition = problem && problem.operation === 'emoji_letter_recognition';
 
         // For Bulgarian Language, allow empty input (parent just presses Enter)
-        // For Math, require a number
-        if (this.currentSubject === 'bulgarian') {
+        // For Math and self-checked Bulgarian exercises, require an answer
+        if (this.currentSubject === 'bulgarian' && !problem.selfChecked) {
             // Bulgarian: only empty (Enter for correct) is valid
             // Wrong answers are submitted via Delete, not by typing
             if (userInput !== '') {
                 this.view.showMessage(this.model.localization.t('ERROR_INVALID_INPUT'), false);
                 return;
             }
+        } else if (problem.allowedSymbols) {
+            // Symbol answers: require one of the allowed symbols, or one per item when putting items in order
+            const symbols = problem.sequenceAnswer ? [...userInput.trim()] : [userInput.trim()];
+            const expectedLength = problem.sequenceAnswer ? problem.allowedSymbols.length : 1;
+            if (symbols.length !== expectedLength || !symbols.every(symbol => problem.allowedSymbols.includes(symbol))) {
+                this.view.showMessage(this.model.localization.t('ERROR_INVALID_INPUT'), false);
+                return;
+            }
+        } else if (problem.letterInput) {
+            // Letter answers: require exactly one Cyrillic letter
+            const letter = userInput.trim();
+            if (letter.length !== 1 || this.model.getTypedLetter(letter) !== letter.toUpperCase()) {
+                this.view.showMessage(this.model.localization.t('ERROR_INVALID_INPUT'), false);
+                return;
+            }
         } else {
             // Math: require a number
             if (!userInput || isNaN(parseInt(userInput))) {
@@ -559,12 +674,17 @@ class AppController {
             }
         }
 
-        // Check if this is a multi-step Place Value problem
-        if (problem.operation === 'place_value_calculation' && problem.currentStep) {
+        // Check if this is a multi-step problem (place value, division with remainder)
+        if (problem.stepAnswers && problem.currentStep) {
             this.checkPlaceValueStep(parseInt(userInput));
             return;
         }
 
+        // Sentences: keep the words the child stumbled on before judging the sentence
+        if (problem.pages) {
+            this.model.recordStumbledWords();
+        }
+
         if (this.model.checkAnswer(userInput)) {
             // Correct answer
             this.model.updateScore();
@@ -590,7 +710,13 @@ class AppController {
             this.view.updateGameStatus(this.model.getGameState());
         } else {
             // Incorrect answer
-            if (this.currentSubject === 'bulgarian') {
+            if (this.currentSubject === 'bulgarian' && problem.selfChecked) {
+                // Self-checked Bulgarian exercises show the right answer, like math
+                this.view.showFeedbackModal({
+                    isCorrect: false,
+                    footer: `${this.localization.t('INCORRECT_ANSWER')} ${problem.answer}`
+                });
+            } else if (this.currentSubject === 'bulgarian') {
                 // For Bulgarian, there's no "correct answer" to show
                 this.view.showFeedbackModal({
                     isCorrect: false,
@@ -598,23 +724,27 @@ class AppController {
                 });
             } else {
                 const correctAnswer = this.model.currentProblem.answer;
+                this.model.recordWrongAnswer();
+                this.view.updateGameStatus(this.model.getGameState());
                 this.view.showFeedbackModal({
                     isCorrect: false,
-                    footer: `${this.localization.t('INCORRECT_ANSWER')} ${correctAnswer}`
+                    footer: `${this.localization.t('INCORRECT_ANSWER')} ${correctAnswer}`,
+                    numberLine: this.shouldShowNumberLine() ? this.model.currentProblem : null
                 });
             }
         }
     }
 
-    // Check Place Value step-by-step answer
+    // Check step-by-step answer for multi-step problems
     async checkPlaceValueStep(userAnswer) {
         const problem = this.model.currentProblem;
         const currentStep = problem.currentStep;
+        const totalSteps = problem.stepAnswers.length;
         const expectedAnswer = problem.stepAnswers[currentStep - 1];
 
         if (userAnswer === expectedAnswer) {
             // Correct answer for this step
-            if (currentStep < 4) {
+            if (currentStep < totalSteps) {
                 // Move to next step
                 problem.currentStep++;
                 this.view.showMessage('ПРАВИЛНО! Следваща стъпка...', false);
@@ -648,10 +778,12 @@ class AppController {
                 this.view.updateGameStatus(this.model.getGameState());
 
                 // Mark that we've completed all steps so next Enter generates new problem
-                problem.currentStep = 5;
+                problem.currentStep = totalSteps + 1;
             }
         } else {
             // Incorrect answer
+            this.model.recordWrongAnswer();
+            this.view.updateGameStatus(this.model.getGameState());
             this.view.showFeedbackModal({
                 isCorrect: false,
                 footer: `${this.model.localization.t('INCORRECT_ANSWER')} ${expectedAnswer}`
@@ -661,15 +793,24 @@ class AppController {
 
     // Check answer as wrong (for Delete key submissions in Bulgarian)
     checkAnswerAsWrong() {
+        const problem = this.model.currentProblem;
+        if (problem && problem.pages) {
+            this.model.recordStumbledWords();
+        }
+
         // For Bulgarian subject, show incorrect answer message
         this.view.showFeedbackModal({
             isCorrect: false,
             footer: this.localization.t('INCORRECT_ANSWER_BULGARIAN')
         });
+        this.view.updateGameStatus(this.model.getGameState());
 
         // Clear input and generate next problem after modal
+        // (sentences continue with their next sentence when the modal is dismissed)
         this.view.clearAndFocusInput();
-        this.generateNewProblem();
+        if (!(problem && problem.pages)) {
+            this.generateNewProblem();
+        }
     }
 
     // Navigate back to the previous screen
@@ -719,6 +860,9 @@ class AppController {
             this.startLevel(level, operation);
         });
 
+        // Offer the parent number line setting where levels support it
+        this.setupNumberLineToggle();
+
         // Show level selection screen
         this.view.showScreen('level-select');
 
@@ -25,15 +25,31 @@ class LocalizationModel {
                 'SUBTRACTION': 'ИЗВАЖДАНЕ',
                 'MULTIPLICATION': 'УМНОЖЕНИЕ',
                 'DIVISION': 'ДЕЛЕНИЕ',
+                'COMPARISON': 'СРАВНЯВАНЕ',
+                'COUNTING': 'БРОЕНЕ',
+                'TIME': 'ЧАСОВНИК',
+                'MONEY': 'ПАРИ',
+                'SEQUENCES': 'РЕДИЦИ ОТ ЧИСЛА',
+                'NUMBER_SENSE': 'СЪСЕДНИ, ЧЕТНИ И НЕЧЕТНИ ЧИСЛА',
+                'SHAPES': 'ФИГУРИ',
+                'FRACTIONS': 'ДРОБИ',
+                'WORD_PROBLEMS': 'ЗАДАЧИ С ИСТОРИИ',
+                'MEASUREMENT': 'ИЗМЕРВАНЕ',
+                'CALENDAR': 'КАЛЕНДАР',
+                'REVIEW': 'ПРЕГОВОР',
 
                 // Bulgarian Language Activities
                 'LETTERS': 'БУКВИ',
                 'SYLLABLES': 'СРИЧКИ',
                 'WORDS': 'ДУМИ',
+                'BUILD_WORD': 'СГЛОБИ ДУМАТА',
+                'MISSING_LETTER': 'ЛИПСВАЩА БУКВА',
+                'SENTENCES': 'ИЗРЕЧЕНИЯ И ПРИКАЗКИ',
 
                 // Operation/Activity selection
                 'SELECT_OPERATION': 'ИЗБЕРЕТЕ ДЕЙНОСТ:',
                 'OPERATION_INSTRUCTIONS': 'ИЗБЕРЕТЕ НОМЕР НА ДЕЙНОСТ • BACKSPACE = НАЗАД',
+                'MORE_ACTIVITIES': 'ОЩЕ ДЕЙНОСТИ',
 
                 // Level selection screen
                 'SELECT_DIFFICULTY_LEVEL': 'ИЗБЕРЕТЕ НИВО НА ТРУДНОСТ:',
@@ -43,6 +59,14 @@ class LocalizationModel {
                 'UP_TO_20': 'ДО 20',
                 'UP_TO_50': 'ДО 50',
                 'UP_TO_100': 'ДО 100',
+                'MISSING_NUMBER_TO_10': 'ЛИПСВАЩО ЧИСЛО ДО 10',
+                'MISSING_NUMBER_TO_20': 'ЛИПСВАЩО ЧИСЛО ДО 20',
+                'NUMBER_LINE_SETTING': 'ЧИСЛОВА ОС ПРИ ГРЕШЕН ОТГОВОР',
+                'SETTING_ON': 'ВКЛ.',
+                'SETTING_OFF': 'ИЗКЛ.',
+                'THREE_DIGIT_COLUMN_CALCULATION': 'ТРИЦИФРЕНИ ЧИСЛА СТЪПКА ПО СТЪПКА',
+                'FOUR_DIGIT_COLUMN_CALCULATION': 'ЧЕТИРИЦИФРЕНИ ЧИСЛА СТЪПКА ПО СТЪПКА',
+                'MAKE_TEN_STRATEGY': 'ДОПЪЛВАНЕ ДО 10',
 
                 // Place Value level descriptions
                 'PLACE_VALUE_RECOGNITION': 'РАЗПОЗНАВАНЕ НА ЕДИНИЦИ И ДЕСЕТИЦИ',
@@ -57,22 +81,209 @@ class LocalizationModel {
                 'STEP_CARRY': 'Пренос',
                 'STEP_TENS': 'Десетици',
                 'STEP_COMBINE': 'Резултат',
+                'STEP_BORROW': 'Заемане',
 
                 // Step descriptions for Place Value Level 2 - Addition
                 'STEP_DESC_ONES': 'Изчисляване на единици',
                 'STEP_DESC_CARRY': 'Определяне на пренос',
                 'STEP_DESC_TENS': 'Изчисляване на десетици',
+                'STEP_DESC_HUNDREDS': 'Изчисляване на стотици',
+                'STEP_DESC_THOUSANDS': 'Изчисляване на хиляди',
                 'STEP_DESC_COMBINE': 'Комбиниране на резултата',
 
                 // Step descriptions for Place Value Level 2 - Subtraction
                 'STEP_DESC_ONES_SUB': 'Изчисляване на единици',
                 'STEP_DESC_BORROW': 'Определяне на заемане',
                 'STEP_DESC_TENS_SUB': 'Изчисляване на десетици',
+                'STEP_DESC_HUNDREDS_SUB': 'Изчисляване на стотици',
+                'STEP_DESC_THOUSANDS_SUB': 'Изчисляване на хиляди',
                 'STEP_DESC_COMBINE_SUB': 'Комбиниране на резултата',
 
+                // Step descriptions for step-by-step multiplication
+                'STEP_DESC_ONES_MUL': 'Умножаване на единици',
+                'STEP_DESC_TENS_MUL': 'Умножаване на десетици',
+                'STEP_DESC_HUNDREDS_MUL': 'Умножаване на стотици',
+                'STEP_DESC_THOUSANDS_MUL': 'Умножаване на хиляди',
+
+                // Step descriptions for the make-ten strategy
+                'STEP_DESC_MAKE_TEN': 'Колко липсват до 10',
+                'STEP_DESC_SPLIT_REST': 'Колко остават',
+                'STEP_DESC_TEN_PLUS_REST': 'Десет и остатъка',
+
+                // Multiplication level descriptions
+                'REPEATED_ADDITION': 'ГРУПИ ОТ ПРЕДМЕТИ',
+                'TIMES_TABLE_2': 'ТАБЛИЦА ЗА УМНОЖЕНИЕ С 2',
+                'TIMES_TABLE_5': 'ТАБЛИЦА ЗА УМНОЖЕНИЕ С 5',
+                'TIMES_TABLE_10': 'ТАБЛИЦА ЗА УМНОЖЕНИЕ С 10',
+                'MIXED_TABLES': 'ТАБЛИЦА ЗА УМНОЖЕНИЕ ДО 10 × 10',
+
+                // Division level descriptions
+                'FAIR_SHARING': 'РАЗДЕЛЯНЕ ПО РАВНО',
+                'EXACT_DIVISION': 'ДЕЛЕНИЕ БЕЗ ОСТАТЪК',
+                'DIVISION_WITH_REMAINDER': 'ДЕЛЕНИЕ С ОСТАТЪК',
+                'FAIR_SHARING_QUESTION': 'По колко получава всяка група?',
+                'STEP_DESC_QUOTIENT': 'Частно',
+                'STEP_DESC_REMAINDER': 'Остатък',
+
+                // Comparison level descriptions
+                'COMPARE_GROUPS': 'СРАВНЯВАНЕ НА ГРУПИ ОТ ПРЕДМЕТИ',
+                'COMPARE_UP_TO_20': 'СРАВНЯВАНЕ НА ЧИСЛА ДО 20',
+                'COMPARE_UP_TO_100': 'СРАВНЯВАНЕ НА ЧИСЛА ДО 100',
+                'COMPARISON_QUESTION': 'Напиши <, > или =',
+
+                // Counting level descriptions
+                'COUNT_ROWS_TO_10': 'БРОЕНЕ ДО 10 В РЕДИЦИ',
+                'COUNT_TEN_FRAMES_TO_20': 'БРОЕНЕ ДО 20 В ДЕСЕТИЧНИ РАМКИ',
+                'COUNT_SCATTERED_TO_10': 'БРОЕНЕ ДО 10 НА РАЗПРЪСНАТИ ПРЕДМЕТИ',
+                'COUNT_SCATTERED_TO_20': 'БРОЕНЕ ДО 20 НА РАЗПРЪСНАТИ ПРЕДМЕТИ',
+                'COUNTING_QUESTION': 'Колко са?',
+
+                // Clock level descriptions
+                'CLOCK_O_CLOCK': 'ТОЧЕН ЧАС',
+                'CLOCK_HALF_PAST': 'ТОЧЕН ЧАС И ПОЛОВИНА',
+                'CLOCK_QUARTER_HOURS': 'ЧЕТВЪРТ ЧАС',
+                'CLOCK_FIVE_MINUTES': 'ПО ПЕТ МИНУТИ',
+                'STEP_DESC_HOUR': 'Колко е часът',
+                'STEP_DESC_MINUTES': 'Колко са минутите',
+                'STEP_HOUR': 'Час',
+                'STEP_MINUTES': 'Минути',
+
+                // Sequence level descriptions
+                'SEQUENCE_STEP_1': 'НАПРЕД И НАЗАД ПО 1',
+                'SKIP_COUNT_2': 'БРОЕНЕ ПО 2',
+                'SKIP_COUNT_5': 'БРОЕНЕ ПО 5',
+                'SKIP_COUNT_10': 'БРОЕНЕ ПО 10',
+                'SEQUENCE_MIXED_STEPS': 'РАЗЛИЧНИ СТЪПКИ',
+                'SEQUENCE_QUESTION': 'Кое число липсва?',
+
+                // Number sense level descriptions
+                'BEFORE_AFTER_TO_10': 'ПРЕДИ И СЛЕД ДО 10',
+                'BEFORE_AFTER_TO_100': 'ПРЕДИ И СЛЕД ДО 100',
+                'BETWEEN_TO_20': 'ЧИСЛО МЕЖДУ ДВЕ ЧИСЛА ДО 20',
+                'EVEN_ODD_PAIRS': 'ЧЕТНО ИЛИ НЕЧЕТНО С ДВОЙКИ ПРЕДМЕТИ',
+                'EVEN_ODD_TO_100': 'ЧЕТНО ИЛИ НЕЧЕТНО ДО 100',
+                'NUMBER_BEFORE_QUESTION': 'Кое число е преди?',
+                'NUMBER_AFTER_QUESTION': 'Кое число е след?',
+                'NUMBER_BETWEEN_QUESTION': 'Кое число е между тях?',
+                'EVEN_ODD_QUESTION': 'Четно или нечетно?',
+                'EVEN_ODD_KEYS': '0 = ЧЕТНО • 1 = НЕЧЕТНО',
+
+                // Shape level descriptions
+                'SHAPE_SIDES': 'СТРАНИ НА ФИГУРИ',
+                'SHAPE_CORNERS': 'ЪГЛИ НА ФИГУРИ',
+                'COUNT_SHAPES_IN_PICTURE': 'ФИГУРИ В КАРТИНА',
+                'SHAPE_SIDES_QUESTION': 'Колко страни има?',
+                'SHAPE_CORNERS_QUESTION': 'Колко ъгъла има?',
+                'SHAPE_COUNT_QUESTION_TRIANGLE': 'Колко триъгълника има?',
+                'SHAPE_COUNT_QUESTION_SQUARE': 'Колко квадрата има?',
+                'SHAPE_COUNT_QUESTION_CIRCLE': 'Колко кръга има?',
+                'SHAPE_CIRCLE': 'КРЪГ',
+                'SHAPE_TRIANGLE': 'ТРИЪГЪЛНИК',
+                'SHAPE_SQUARE': 'КВАДРАТ',
+                'SHAPE_RECTANGLE': 'ПРАВОЪГЪЛНИК',
+                'SHAPE_PENTAGON': 'ПЕТОЪГЪЛНИК',
+                'SHAPE_HEXAGON': 'ШЕСТОЪГЪЛНИК',
+
+                // Fraction level descriptions
+                'FRACTION_PIE': 'ДРОБИ С КРЪГ',
+                'FRACTION_BAR': 'ДРОБИ С ЛЕНТА',
+                'COMPARE_FRACTIONS': 'СРАВНЯВАНЕ НА ПОЛОВИНКИ, ТРЕТИНКИ И ЧЕТВЪРТИНКИ',
+                'STEP_DESC_NUMERATOR': 'Оцветени части (числител)',
+                'STEP_DESC_DENOMINATOR': 'Всички части (знаменател)',
+                'STEP_NUMERATOR': 'Числител',
+                'STEP_DENOMINATOR': 'Знаменател',
+                'TOOLTIP_NUMERATOR': 'Числителят е горното число на дробта - колко от частите са оцветени.',
+                'TOOLTIP_DENOMINATOR': 'Знаменателят е долното число на дробта - на колко равни части е разделено цялото.',
+
+                // Word problem level descriptions
+                'WORD_PROBLEMS_ADD_TO_10': 'ЗАДАЧИ ЗА СЪБИРАНЕ ДО 10',
+                'WORD_PROBLEMS_SUBTRACT_TO_10': 'ЗАДАЧИ ЗА ИЗВАЖДАНЕ ДО 10',
+                'WORD_PROBLEMS_MIXED_TO_20': 'СМЕСЕНИ ЗАДАЧИ ДО 20',
+
+                // Word problem content - {count1}/{count2} are a number with its agreeing noun,
+                // {objects} is the counting form used after "колко"
+                'WORD_PROBLEM_NAMES': ['Ани', 'Мария', 'Елена', 'Калина', 'Никол', 'Иван', 'Георги', 'Петър', 'Борис', 'Виктор'],
+                'WORD_PROBLEM_OBJECTS': [
+                    { emoji: '🍎', one: 'ябълка', many: 'ябълки' },
+                    { emoji: '🍐', one: 'круша', many: 'круши' },
+                    { emoji: '🍪', one: 'бисквита', many: 'бисквити' },
+                    { emoji: '⚽', one: 'топка', many: 'топки' },
+                    { emoji: '⭐', one: 'звездичка', many: 'звездички' },
+                    { emoji: '🎈', one: 'балон', many: 'балона' },
+                    { emoji: '✏️', one: 'молив', many: 'молива' },
+                    { emoji: '🍬', one: 'бонбон', many: 'бонбона' },
+                    { emoji: '🌷', one: 'цвете', many: 'цветя' },
+                    { emoji: '🧸', one: 'мече', many: 'мечета' }
+                ],
+                'WORD_PROBLEM_TEMPLATES_ADD': [
+                    '{name1} има {count1}. {name2} дава на {name1} още {count2}. Колко {objects} има {name1} сега?',
+                    'В кошницата има {count1}. {name1} слага още {count2}. Колко {objects} има в кошницата сега?',
+                    '{name1} има {count1}, а {name2} има {count2}. Колко {objects} имат заедно?'
+                ],
+                'WORD_PROBLEM_TEMPLATES_SUBTRACT': [
+                    '{name1} има {count1}. Дава {count2} на {name2}. Колко {objects} остават на {name1}?',
+                    'На масата има {count1}. {name1} взима {count2}. Колко {objects} остават на масата?',
+                    '{name1} има {count1}. {name2} има с {count2} по-малко. Колко {objects} има {name2}?'
+                ],
+
+                // Measurement level descriptions
+                'COMPARE_LENGTHS': 'СРАВНЯВАНЕ НА ДЪЛЖИНИ',
+                'COMPARE_WEIGHTS': 'СРАВНЯВАНЕ НА ТЕГЛА',
+                'MEASURE_WITH_BLOCKS': 'ИЗМЕРВАНЕ С КУБЧЕТА',
+                'MEASURE_LONGEST_QUESTION': 'Коя лента е най-дълга? Напиши номера ѝ.',
+                'MEASURE_SHORTEST_QUESTION': 'Коя лента е най-къса? Напиши номера ѝ.',
+                'MEASURE_HEAVIEST_QUESTION': 'Кое е най-тежко? Напиши номера му.',
+                'MEASURE_LIGHTEST_QUESTION': 'Кое е най-леко? Напиши номера му.',
+                'MEASURE_BLOCKS_QUESTION': 'Колко кубчета е дълга лентата?',
+
+                // Calendar level descriptions
+                'CALENDAR_DAYS': 'ДНИТЕ НА СЕДМИЦАТА',
+                'CALENDAR_MONTHS': 'МЕСЕЦИТЕ НА ГОДИНАТА',
+                'CALENDAR_SEASONS': 'СЕЗОНИТЕ',
+                'CALENDAR_FROM_MEMORY': 'ДНИ И МЕСЕЦИ ПО ПАМЕТ',
+
+                // Review level description - problems mixed from the levels already played
+                'REVIEW_PLAYED_LEVELS': 'СМЕСЕНИ ЗАДАЧИ ОТ ИГРАНИТЕ НИВА',
+
+                // Calendar content - answers are the position of the day, month or season
+                'DAY_NAMES': ['понеделник', 'вторник', 'сряда', 'четвъртък', 'петък', 'събота', 'неделя'],
+                'MONTH_NAMES': ['януари', 'февруари', 'март', 'април', 'май', 'юни', 'юли', 'август', 'септември', 'октомври', 'ноември', 'декември'],
+                'SEASON_NAMES': ['пролет', 'лято', 'есен', 'зима'],
+                'CALENDAR_DAY_AFTER': 'Кой ден е след {day}?',
+                'CALENDAR_DAY_BEFORE': 'Кой ден е преди {day}?',
+                'CALENDAR_DAYS_IN_WEEK': 'Колко дни има една седмица?',
+                'CALENDAR_MONTH_AFTER': 'Кой месец е след {month}?',
+                'CALENDAR_MONTH_POSITION': 'Кой поред месец е {month}?',
+                'CALENDAR_MONTHS_IN_YEAR': 'Колко месеца има една година?',
+                'CALENDAR_MONTH_SEASON': 'През кой сезон е месец {month}?',
+                'CALENDAR_SEASONS_IN_YEAR': 'Колко сезона има една година?',
+                'CALENDAR_ANSWER_HINT': 'Напиши номера или броя',
+
+                // Money level descriptions
+                'MONEY_BGN_STOTINKI': 'БРОЕНЕ НА СТОТИНКИ',
+                'MONEY_BGN_LEVA': 'БРОЕНЕ НА ЛЕВА',
+                'MONEY_BGN_CHANGE': 'РЕСТО В ЛЕВА',
+                'MONEY_EUR_CENTS': 'БРОЕНЕ НА ЕВРОЦЕНТОВЕ',
+                'MONEY_EUR_EUROS': 'БРОЕНЕ НА ЕВРО',
+                'MONEY_EUR_CHANGE': 'РЕСТО В ЕВРО',
+                'MONEY_TOTAL_QUESTION_BGN_MINOR': 'Колко стотинки са общо?',
+                'MONEY_TOTAL_QUESTION_BGN_MAJOR': 'Колко лева са общо?',
+                'MONEY_TOTAL_QUESTION_EUR_MINOR': 'Колко евроцента са общо?',
+                'MONEY_TOTAL_QUESTION_EUR_MAJOR': 'Колко евро са общо?',
+                'MONEY_CHANGE_QUESTION_BGN': 'Колко лева е рестото?',
+                'MONEY_CHANGE_QUESTION_EUR': 'Колко евро е рестото?',
+                'MONEY_PRICE': 'Цена',
+                'MONEY_PAID': 'Платено',
+                'CURRENCY_BGN_MINOR': 'ст.',
+                'CURRENCY_BGN_MAJOR': 'лв.',
+                'CURRENCY_EUR_MINOR': 'ц.',
+                'CURRENCY_EUR_MAJOR': '€',
+
                 // Tooltips for Place Value
                 'TOOLTIP_CARRY': 'Преносът е цифрата от десетиците когато сборът на единиците е 10 или повече. Например: 7 + 8 = 15, преносът е 1.',
                 'TOOLTIP_BORROW': 'Заемането е когато трябва да вземем 1 десетица и да я превърнем в 10 единици. Например: 32 - 18, заемаме 1 десетица за единиците.',
+                'TOOLTIP_MAKE_TEN': 'Допълваме първото число до 10. Например: 8 + 5, на 8 му липсват 2 до 10.',
+                'TOOLTIP_SPLIT_REST': 'Вземаме тези единици от второто число и виждаме колко остават. Например: 5 - 2 = 3, значи 8 + 5 = 10 + 3.',
                 'TOOLTIP_ICON': '<i>i</i>',
                 'TOOLTIP_HELP': 'Натиснете + за обяснение',
                 'TOOLTIP_CLOSE': 'Натиснете + за затваряне',
@@ -82,12 +293,28 @@ class LocalizationModel {
                 'VOWELS': 'ГЛАСНИ БУКВИ',
                 'CONSONANTS': 'СЪГЛАСНИ БУКВИ',
                 'ALL_LETTERS': 'ВСИЧКИ БУКВИ',
+                'LOWERCASE_LETTERS': 'МАЛКИ БУКВИ',
+                'MIXED_CASE_LETTERS': 'МАЛКИ И ГЛАВНИ БУКВИ',
+                'MATCH_LETTER_CASE': 'НАМЕРИ ГЛАВНАТА БУКВА',
+                'MATCH_LETTER_CASE_QUESTION': 'Коя главна буква е същата? Напиши номера ѝ.',
+                'TYPE_FIRST_LETTER': 'С КОЯ БУКВА ЗАПОЧВА?',
+                'TYPE_FIRST_LETTER_QUESTION': 'С коя буква започва думата? Напиши буквата.',
                 'SIMPLE_SYLLABLES': 'ПРОСТИ СРИЧКИ',
                 'COMPLEX_SYLLABLES': 'СЛОЖНИ СРИЧКИ',
                 'ALL_SYLLABLES': 'ВСИЧКИ СРИЧКИ',
                 'TWO_SYLLABLE_WORDS': 'ДВУСРИЧНИ ДУМИ',
                 'THREE_SYLLABLE_WORDS': 'ТРИСРИЧНИ ДУМИ',
                 'ALL_WORDS': 'ВСИЧКИ ДУМИ',
+                'BUILD_WORD_QUESTION': 'Подреди сричките! Напиши номерата им по ред.',
+                'MISSING_FIRST_LETTER': 'ЛИПСВА ПЪРВАТА БУКВА',
+                'MISSING_ANY_LETTER': 'ЛИПСВА БУКВА ОТ ДУМАТА',
+                'MISSING_LETTER_QUESTION': 'Коя буква липсва? Напиши номера ѝ.',
+                'THREE_WORD_SENTENCES': 'ИЗРЕЧЕНИЯ ОТ ТРИ ДУМИ',
+                'LONGER_SENTENCES': 'ДЪЛГИ ИЗРЕЧЕНИЯ',
+                'SHORT_STORIES': 'КРАТКИ ПРИКАЗКИ',
+                'SENTENCES_HINT': 'ENTER = ПРОЧЕТЕНО • DEL = ГРЕШНО • 1-9 = ДУМА, НА КОЯТО СЕ ЗАПЪНА',
+                'PAGE': 'СТРАНИЦА',
+                'STUMBLED_WORDS': 'ТРУДНИ ДУМИ',
 
                 'LEVEL_INSTRUCTIONS': 'ИЗБЕРЕТЕ НОМЕР НА НИВО • BACKSPACE = НАЗАД',
 
@@ -126,6 +353,188 @@ class LocalizationModel {
                     'НЕВЕРОЯТНИ УМЕНИЯ ЗА ИЗВАЖДАНЕ!'
                 ],
 
+                // Multiplication-specific reward messages
+                'MULTIPLICATION_REWARD_MESSAGES': [
+                    'ОТЛИЧНО УМНОЖЕНИЕ!',
+                    'ПЕРФЕКТНО ПРЕСМЯТАНЕ!',
+                    'ЗНАЕШ ТАБЛИЦАТА ЗА УМНОЖЕНИЕ!',
+                    'БЛЕСТЯЩО УМНОЖЕНИЕ!',
+                    'ПРЕВЪЗХОДНО!',
+                    'БЕЗУПРЕЧНО УМНОЖЕНИЕ!',
+                    'ВЕЛИКОЛЕПНА РАБОТА!',
+                    'ВПЕЧАТЛЯВАЩО БЪРЗО!',
+                    'ИЗКЛЮЧИТЕЛНО УМЕНИЕ!',
+                    'НЕВЕРОЯТНИ УМЕНИЯ ЗА УМНОЖЕНИЕ!'
+                ],
+
+                // Division-specific reward messages
+                'DIVISION_REWARD_MESSAGES': [
+                    'ОТЛИЧНО ДЕЛЕНИЕ!',
+                    'ПЕРФЕКТНО РАЗДЕЛЕНО!',
+                    'НЕВЕРОЯТНА РАБОТА С ДЕЛЕНИЕ!',
+                    'БЛЕСТЯЩО РАЗДЕЛЯНЕ!',
+                    'ПРЕВЪЗХОДНО!',
+                    'БЕЗУПРЕЧНО ДЕЛЕНИЕ!',
+                    'ВЕЛИКОЛЕПНА РАБОТА!',
+                    'ВСИЧКИ ПОЛУЧИХА ПО РАВНО!',
+                    'ИЗКЛЮЧИТЕЛНО УМЕНИЕ!',
+                    'НЕВЕРОЯТНИ УМЕНИЯ ЗА ДЕЛЕНИЕ!'
+                ],
+
+                // Comparison-specific reward messages
+                'COMPARISON_REWARD_MESSAGES': [
+                    'ОТЛИЧНО СРАВНЯВАНЕ!',
+                    'ПЕРФЕКТНО!',
+                    'ПРАВИЛНИЯТ ЗНАК!',
+                    'БЛЕСТЯЩО СРАВНЕНИЕ!',
+                    'ПРЕВЪЗХОДНО!',
+                    'БЕЗУПРЕЧНО СРАВНЯВАНЕ!',
+                    'ВЕЛИКОЛЕПНА РАБОТА!',
+                    'ВПЕЧАТЛЯВАЩО!',
+                    'ИЗКЛЮЧИТЕЛНО УМЕНИЕ!',
+                    'ЗНАЕШ КОЕ Е ПО-ГОЛЯМО!'
+                ],
+
+                // Counting-specific reward messages
+                'COUNTING_REWARD_MESSAGES': [
+                    'ОТЛИЧНО БРОЕНЕ!',
+                    'ПРЕБРОИ ВСИЧКИ!',
+                    'ПЕРФЕКТНО!',
+                    'БЛЕСТЯЩО БРОЕНЕ!',
+                    'ПРЕВЪЗХОДНО!',
+                    'БЕЗУПРЕЧНО ПРЕБРОЕНИ!',
+                    'ВЕЛИКОЛЕПНА РАБОТА!',
+                    'ВПЕЧАТЛЯВАЩО!',
+                    'ИЗКЛЮЧИТЕЛНО УМЕНИЕ!',
+                    'УМЕЕШ ДА БРОИШ!'
+                ],
+
+                // Clock-specific reward messages
+                'CLOCK_REWARD_MESSAGES': [
+                    'ОТЛИЧНО ПОЗНАВАШ ЧАСОВНИКА!',
+                    'ТОЧНО НАВРЕМЕ!',
+                    'ПЕРФЕКТНО!',
+                    'БЛЕСТЯЩО!',
+                    'ПРЕВЪЗХОДНО!',
+                    'БЕЗУПРЕЧНО ПРОЧЕТЕН ЧАС!',
+                    'ВЕЛИКОЛЕПНА РАБОТА!',
+                    'ВПЕЧАТЛЯВАЩО!',
+                    'ИЗКЛЮЧИТЕЛНО УМЕНИЕ!',
+                    'УМЕЕШ ДА ГЛЕДАШ ЧАСОВНИКА!'
+                ],
+
+                // Sequence-specific reward messages
+                'SEQUENCE_REWARD_MESSAGES': [
+                    'ОТЛИЧНО! ОТКРИ ПРАВИЛОТО!',
+                    'ТОЧНО ТОВА ЧИСЛО!',
+                    'ПЕРФЕКТНО!',
+                    'БЛЕСТЯЩО!',
+                    'ПРЕВЪЗХОДНО!',
+                    'БЕЗУПРЕЧНО БРОЕНЕ!',
+                    'ВЕЛИКОЛЕПНА РАБОТА!',
+                    'ВПЕЧАТЛЯВАЩО!',
+                    'ИЗКЛЮЧИТЕЛНО УМЕНИЕ!',
+                    'ВИЖДАШ ЗАКОНОМЕРНОСТТА!'
+                ],
+
+                // Number sense reward messages
+                'NUMBER_SENSE_REWARD_MESSAGES': [
+                    'ОТЛИЧНО ПОЗНАВАШ ЧИСЛАТА!',
+                    'ТОЧНО ТАКА!',
+                    'ПЕРФЕКТНО!',
+                    'БЛЕСТЯЩО!',
+                    'ПРЕВЪЗХОДНО!',
+                    'БЕЗУПРЕЧНО!',
+                    'ВЕЛИКОЛЕПНА РАБОТА!',
+                    'ВПЕЧАТЛЯВАЩО!',
+                    'ИЗКЛЮЧИТЕЛНО УМЕНИЕ!',
+                    'ЧИСЛАТА СА ТВОИ ПРИЯТЕЛИ!'
+                ],
+
+                // Shape-specific reward messages
+                'SHAPE_REWARD_MESSAGES': [
+                    'ОТЛИЧНО ПОЗНАВАШ ФИГУРИТЕ!',
+                    'ТОЧНО ТАКА!',
+                    'ПЕРФЕКТНО!',
+                    'БЛЕСТЯЩО!',
+                    'ПРЕВЪЗХОДНО!',
+                    'БЕЗУПРЕЧНО ПРЕБРОЕНИ!',
+                    'ВЕЛИКОЛЕПНА РАБОТА!',
+                    'ВПЕЧАТЛЯВАЩО!',
+                    'ИЗКЛЮЧИТЕЛНО УМЕНИЕ!',
+                    'ИСТИНСКИ ГЕОМЕТЪР!'
+                ],
+
+                // Fraction-specific reward messages
+                'FRACTION_REWARD_MESSAGES': [
+                    'ОТЛИЧНО ПОЗНАВАШ ДРОБИТЕ!',
+                    'ТОЧНО ТАКА!',
+                    'ПЕРФЕКТНО!',
+                    'БЛЕСТЯЩО!',
+                    'ПРЕВЪЗХОДНО!',
+                    'БЕЗУПРЕЧНО РАЗДЕЛЕНО!',
+                    'ВЕЛИКОЛЕПНА РАБОТА!',
+                    'ВПЕЧАТЛЯВАЩО!',
+                    'ИЗКЛЮЧИТЕЛНО УМЕНИЕ!',
+                    'ЧАСТ ПО ЧАСТ - ЦЯЛО ПОСТИЖЕНИЕ!'
+                ],
+
+                // Word problem reward messages
+                'WORD_PROBLEM_REWARD_MESSAGES': [
+                    'ОТЛИЧНО РЕШЕНА ЗАДАЧА!',
+                    'ТОЧНО ТАКА!',
+                    'ПЕРФЕКТНО!',
+                    'БЛЕСТЯЩО!',
+                    'ПРЕВЪЗХОДНО!',
+                    'БЕЗУПРЕЧНО РЕШЕНИЕ!',
+                    'ВЕЛИКОЛЕПНА РАБОТА!',
+                    'ВПЕЧАТЛЯВАЩО!',
+                    'ИЗКЛЮЧИТЕЛНО УМЕНИЕ!',
+                    'ИСТИНСКИ МАТЕМАТИК!'
+                ],
+
+                // Measurement reward messages
+                'MEASUREMENT_REWARD_MESSAGES': [
+                    'ОТЛИЧНО ИЗМЕРВАНЕ!',
+                    'ТОЧНО ТАКА!',
+                    'ПЕРФЕКТНО!',
+                    'БЛЕСТЯЩО!',
+                    'ПРЕВЪЗХОДНО!',
+                    'БЕЗУПРЕЧНО СРАВНЕНИЕ!',
+                    'ВЕЛИКОЛЕПНА РАБОТА!',
+                    'ВПЕЧАТЛЯВАЩО!',
+                    'ИЗКЛЮЧИТЕЛНО УМЕНИЕ!',
+                    'ИМАШ ТОЧНО ОКО!'
+                ],
+
+                // Calendar reward messages
+                'CALENDAR_REWARD_MESSAGES': [
+                    'ОТЛИЧНО ПОЗНАВАШ КАЛЕНДАРА!',
+                    'ТОЧНО ТАКА!',
+                    'ПЕРФЕКТНО!',
+                    'БЛЕСТЯЩО!',
+                    'ПРЕВЪЗХОДНО!',
+                    'БЕЗУПРЕЧНО!',
+                    'ВЕЛИКОЛЕПНА РАБОТА!',
+                    'ВПЕЧАТЛЯВАЩО!',
+                    'ИЗКЛЮЧИТЕЛНО УМЕНИЕ!',
+                    'ВИНАГИ ЗНАЕШ КОЙ ДЕН Е!'
+                ],
+
+                // Money-specific reward messages
+                'MONEY_REWARD_MESSAGES': [
+                    'ОТЛИЧНО СМЕТНАТИ ПАРИ!',
+                    'ТОЧНА СМЕТКА!',
+                    'ПЕРФЕКТНО!',
+                    'БЛЕСТЯЩО!',
+                    'ПРЕВЪЗХОДНО!',
+                    'БЕЗУПРЕЧНО РЕСТО!',
+                    'ВЕЛИКОЛЕПНА РАБОТА!',
+                    'ВПЕЧАТЛЯВАЩО!',
+                    'ИЗКЛЮЧИТЕЛНО УМЕНИЕ!',
+                    'ИСТИНСКИ КАСИЕР!'
+                ],
+
                 // Place Value reward messages
                 'PLACE_VALUE_REWARD_MESSAGES': [
                     'ОТЛИЧНО! ПОЗНАВАШ ЕДИНИЦИТЕ И ДЕСЕТИЦИТЕ!',
@@ -355,6 +764,7 @@ class LocalizationModel {
                 'MATH_TERMINAL': 'MATH TERMINAL v1.0',
                 'LEVEL': 'LEVEL',
                 'ADDITION': 'ADDITION',
+                'MORE_ACTIVITIES': 'MORE ACTIVITIES',
                 'SELECT_DIFFICULTY_LEVEL': 'SELECT DIFFICULTY LEVEL:',
                 'SINGLE_DIGITS': 'SINGLE DIGITS (1-9)',
                 'DOUBLE_DIGITS': 'DOUBLE DIGITS (10-19)',
@@ -362,6 +772,52 @@ class LocalizationModel {
                 'UP_TO_50': 'UP TO 50',
                 'UP_TO_100': 'UP TO 100',
                 'LEVEL_INSTRUCTIONS': 'CLICK ON A LEVEL TO START • REFRESH PAGE TO RETURN HERE',
+                'WORD_PROBLEMS': 'WORD PROBLEMS',
+                'WORD_PROBLEMS_ADD_TO_10': 'ADDITION STORIES UP TO 10',
+                'WORD_PROBLEMS_SUBTRACT_TO_10': 'SUBTRACTION STORIES UP TO 10',
+                'WORD_PROBLEMS_MIXED_TO_20': 'MIXED STORIES UP TO 20',
+                'CALENDAR': 'CALENDAR',
+                'CALENDAR_DAYS': 'DAYS OF THE WEEK',
+                'CALENDAR_MONTHS': 'MONTHS OF THE YEAR',
+                'CALENDAR_SEASONS': 'SEASONS',
+                'CALENDAR_FROM_MEMORY': 'DAYS AND MONTHS FROM MEMORY',
+                'REVIEW': 'REVIEW',
+                'REVIEW_PLAYED_LEVELS': 'MIXED PROBLEMS FROM PLAYED LEVELS',
+                'DAY_NAMES': ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+                'MONTH_NAMES': ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+                'SEASON_NAMES': ['spring', 'summer', 'autumn', 'winter'],
+                'CALENDAR_DAY_AFTER': 'What day comes after {day}?',
+                'CALENDAR_DAY_BEFORE': 'What day comes before {day}?',
+                'CALENDAR_DAYS_IN_WEEK': 'How many days are in a week?',
+                'CALENDAR_MONTH_AFTER': 'What month comes after {month}?',
+                'CALENDAR_MONTH_POSITION': 'Which month of the year is {month}?',
+                'CALENDAR_MONTHS_IN_YEAR': 'How many months are in a year?',
+                'CALENDAR_MONTH_SEASON': 'Which season is {month} in?',
+                'CALENDAR_SEASONS_IN_YEAR': 'How many seasons are in a year?',
+                'CALENDAR_ANSWER_HINT': 'Type the number',
+                'WORD_PROBLEM_NAMES': ['Anna', 'Mia', 'Emma', 'Lily', 'Sophie', 'Tom', 'Leo', 'Max', 'Sam', 'Ben'],
+                'WORD_PROBLEM_OBJECTS': [
+                    { emoji: '🍎', one: 'apple', many: 'apples' },
+                    { emoji: '🍐', one: 'pear', many: 'pears' },
+                    { emoji: '🍪', one: 'cookie', many: 'cookies' },
+                    { emoji: '⚽', one: 'ball', many: 'balls' },
+                    { emoji: '⭐', one: 'star', many: 'stars' },
+                    { emoji: '🎈', one: 'balloon', many: 'balloons' },
+                    { emoji: '✏️', one: 'pencil', many: 'pencils' },
+                    { emoji: '🍬', one: 'candy', many: 'candies' },
+                    { emoji: '🌷', one: 'flower', many: 'flowers' },
+                    { emoji: '🧸', one: 'teddy bear', many: 'teddy bears' }
+                ],
+                'WORD_PROBLEM_TEMPLATES_ADD': [
+                    '{name1} has {count1}. {name2} gives {name1} {count2} more. How many {objects} does {name1} have now?',
+                    'The basket holds {count1}. {name1} puts in {count2} more. How many {objects} are in the basket now?',
+                    '{name1} has {count1} and {name2} has {count2}. How many {objects} do they have together?'
+                ],
+                'WORD_PROBLEM_TEMPLATES_SUBTRACT': [
+                    '{name1} has {count1} and gives {count2} to {name2}. How many {objects} does {name1} have left?',
+                    '{name1} puts {count1} on the table. {name2} takes {count2}. How many {objects} are left on the table?',
+                    '{name1} has {count1}. {name2} has {count2} fewer. How many {objects} does {name2} have?'
+                ],
                 'INPUT_PROMPT': '>',
                 'SCORE': 'SCORE',
                 'PROBLEMS': 'PROBLEMS',
@@ -528,6 +984,18 @@ class LocalizationModel {
         return key;
     }
 
+    // Fill {placeholders} in a template, e.g. format('{name} има {count}', { name: 'Ани', count: '3 ябълки' })
+    format(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+    }
+
+    // Number with the noun form that agrees with it: forms.one after 1, forms.many otherwise.
+    // For Bulgarian, "many" is the counting form (3 молива, 5 балона), which for feminine
+    // and neuter nouns is the same as the plural (3 ябълки, 2 цветя).
+    formatCount(count, forms) {
+        return `${count} ${count === 1 ? forms.one : forms.many}`;
+    }
+
     // Get array translation (like reward messages)
     tArray(key) {
         const translation = this.t(key);
@@ -7,6 +7,8 @@ class UserStorageModel {
         this.USERS_KEY = 'lumi_users';
         this.CURRENT_USER_KEY = 'lumi_current_user';
         this.IS_API_USER_KEY = 'lumi_is_api_user';
+        this.NUMBER_LINE_KEY = 'lumi_number_line';
+        this.PLAYED_LEVELS_KEY = 'lumi_played_levels';
 
         this.loadUserFromSession();
     }
@@ -87,6 +89,59 @@ class UserStorageModel {
         return true;
     }
 
+    // Parent preference per child: show the number line after wrong answers on the first levels
+    isNumberLineEnabled() {
+        const settingData = localStorage.getItem(this.NUMBER_LINE_KEY);
+        if (!settingData) return false;
+        try {
+            return JSON.parse(settingData)[this.getCurrentUser() || ''] === true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    setNumberLineEnabled(enabled) {
+        let allSettings = {};
+        try {
+            allSettings = JSON.parse(localStorage.getItem(this.NUMBER_LINE_KEY)) || {};
+        } catch (e) {
+            allSettings = {};
+        }
+
+        allSettings[this.getCurrentUser() || ''] = enabled;
+        localStorage.setItem(this.NUMBER_LINE_KEY, JSON.stringify(allSettings));
+    }
+
+    // Math levels each child has started, by operation: { addition: [1, 3], ... }
+    // Kept locally for API users too, so the review mode works for everyone
+    getPlayedLevels() {
+        const playedData = localStorage.getItem(this.PLAYED_LEVELS_KEY);
+        if (!playedData) return {};
+        try {
+            return JSON.parse(playedData)[this.getCurrentUser() || ''] || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    recordPlayedLevel(operation, level) {
+        let allPlayed = {};
+        try {
+            allPlayed = JSON.parse(localStorage.getItem(this.PLAYED_LEVELS_KEY)) || {};
+        } catch (e) {
+            allPlayed = {};
+        }
+
+        const user = this.getCurrentUser() || '';
+        const played = allPlayed[user] || {};
+        const levels = played[operation] || [];
+        if (levels.includes(level)) return;
+
+        played[operation] = [...levels, level].sort((a, b) => a - b);
+        allPlayed[user] = played;
+        localStorage.setItem(this.PLAYED_LEVELS_KEY, JSON.stringify(allPlayed));
+    }
+
     // API Methods
     async login(email, password, captchaToken) {
         try {
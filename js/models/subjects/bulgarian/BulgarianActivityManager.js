@@ -16,6 +16,21 @@ class BulgarianActivityManager {
                 key: 'WORDS',
                 extensionClass: WordsActivity,
                 icon: 'МА-МА'
+            },
+            'build_word': {
+                key: 'BUILD_WORD',
+                extensionClass: BuildWordActivity,
+                icon: '🧩'
+            },
+            'missing_letter': {
+                key: 'MISSING_LETTER',
+                extensionClass: MissingLetterActivity,
+                icon: 'К_Т'
+            },
+            'sentences': {
+                key: 'SENTENCES',
+                extensionClass: SentencesActivity,
+                icon: '📚'
             }
         };
     }
@@ -9,6 +9,7 @@ class BulgarianLanguageModel {
         this.problemsSolved = 0;
         this.correctAnswersStreak = 0; // Track consecutive correct answers for badges
         this.currentProblem = null;
+        this.stumbledWords = {}; // Sentences: how often the child stumbled on each word this session
         
         // Get levels from the activity extension
         this.levels = activityExtension.getLevels();
@@ -21,10 +22,82 @@ class BulgarianLanguageModel {
     }
     
     // Check if the parent input is correct (Enter = correct, Backspace handled separately)
+    // Self-checked problems compare the child's own answer instead
     checkAnswer(userAnswer) {
+        if (this.currentProblem && this.currentProblem.selfChecked) {
+            if (typeof this.currentProblem.answer === 'string') {
+                // Typed letters count in either case
+                return String(userAnswer).trim().toUpperCase() === this.currentProblem.answer.toUpperCase();
+            }
+            return parseInt(userAnswer) === this.currentProblem.answer;
+        }
         return userAnswer === '' || userAnswer === null || userAnswer === undefined;
     }
     
+    // Letter typed by the child: Cyrillic keys as they are, Latin keys through the phonetic layout
+    getTypedLetter(key) {
+        if (typeof key !== 'string' || key.length !== 1) {
+            return null;
+        }
+        const letter = key.toUpperCase();
+        if (Object.keys(LettersActivity.getLetterEmojiMap()).includes(letter)) {
+            return letter;
+        }
+        return LettersActivity.getPhoneticKeyMap()[key.toLowerCase()] || null;
+    }
+    
+    // Sentences: mark or unmark a word of the current sentence (0-based); false if there is no such word
+    toggleStumbledWord(index) {
+        const problem = this.currentProblem;
+        if (!problem || !problem.pages) {
+            return false;
+        }
+        const words = problem.pages[problem.currentPage][problem.currentSentence];
+        if (index < 0 || index >= words.length) {
+            return false;
+        }
+        
+        const position = problem.markedWords.indexOf(index);
+        if (position === -1) {
+            problem.markedWords.push(index);
+        } else {
+            problem.markedWords.splice(position, 1);
+        }
+        return true;
+    }
+    
+    // Sentences: add the marked words of the current sentence to the session record
+    recordStumbledWords() {
+        const problem = this.currentProblem;
+        if (!problem || !problem.pages) {
+            return;
+        }
+        const words = problem.pages[problem.currentPage][problem.currentSentence];
+        problem.markedWords.forEach(index => {
+            const word = words[index].replace(/[.,!?;:]/g, '').toLowerCase();
+            this.stumbledWords[word] = (this.stumbledWords[word] || 0) + 1;
+        });
+        problem.markedWords = [];
+    }
+    
+    // Sentences: move to the next sentence, turning the page when needed; false after the last one
+    nextSentence() {
+        const problem = this.currentProblem;
+        if (!problem || !problem.pages) {
+            return false;
+        }
+        if (problem.currentSentence < problem.pages[problem.currentPage].length - 1) {
+            problem.currentSentence++;
+            return true;
+        }
+        if (problem.currentPage < problem.pages.length - 1) {
+            problem.currentPage++;
+            problem.currentSentence = 0;
+            return true;
+        }
+        return false;
+    }
+    
     // Update score for correct answer
     updateScore() {
         this.score += 10;
@@ -37,6 +110,7 @@ class BulgarianLanguageModel {
         this.score = 0;
         this.problemsSolved = 0;
         this.correctAnswersStreak = 0;
+        this.stumbledWords = {};
     }
     
     // Set current level and activity
@@ -107,6 +181,7 @@ class BulgarianLanguageModel {
             score: this.score,
             problemsSolved: this.problemsSolved,
             currentProblem: this.currentProblem,
+            stumbledWords: this.stumbledWords,
             levels: this.getLocalizedLevels()
         };
     }
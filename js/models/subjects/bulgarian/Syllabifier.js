@@ -0,0 +1,68 @@
+// Syllabifier - Splits Bulgarian words into syllables by the school division rules
+// - One consonant between vowels goes to the next syllable (ба-ща, во-да)
+// - Two consonants between vowels split (кар-та, дър-во)
+// - Three or more consonants: the first to the previous syllable, the rest to the next (сес-тра)
+// - Groups at the beginning or end attach to the nearest vowel (цве-те, град)
+// - Adjacent vowels belong to different syllables (за-ек-че, я-го-да)
+// - Ь is never split from the consonant before it (си-ньо)
+class Syllabifier {
+    static getVowels() {
+        return ['А', 'Е', 'И', 'О', 'У', 'Ъ', 'Ю', 'Я'];
+    }
+
+    // Split a word into an array of syllables, keeping the original letter case
+    static split(word) {
+        const units = this.getUnits(word);
+        const vowels = this.getVowels();
+        const vowelIndexes = [];
+        units.forEach((unit, index) => {
+            if (vowels.includes(unit.toUpperCase())) {
+                vowelIndexes.push(index);
+            }
+        });
+
+        if (vowelIndexes.length <= 1) {
+            return [word];
+        }
+
+        // Find where each syllable after the first one starts
+        const starts = [];
+        for (let i = 1; i < vowelIndexes.length; i++) {
+            const previousVowel = vowelIndexes[i - 1];
+            const nextVowel = vowelIndexes[i];
+            const consonants = nextVowel - previousVowel - 1;
+
+            if (consonants <= 1) {
+                starts.push(nextVowel - consonants);
+            } else {
+                starts.push(previousVowel + 2);
+            }
+        }
+
+        const syllables = [];
+        let start = 0;
+        [...starts, units.length].forEach(end => {
+            syllables.push(units.slice(start, end).join(''));
+            start = end;
+        });
+        return syllables;
+    }
+
+    // Join the syllables of a word with dashes (МА-МА)
+    static hyphenate(word) {
+        return this.split(word).join('-');
+    }
+
+    // Letters of the word, with Ь kept together with the consonant before it
+    static getUnits(word) {
+        const units = [];
+        [...word].forEach(letter => {
+            if (letter.toUpperCase() === 'Ь' && units.length > 0) {
+                units[units.length - 1] += letter;
+            } else {
+                units.push(letter);
+            }
+        });
+        return units;
+    }
+}
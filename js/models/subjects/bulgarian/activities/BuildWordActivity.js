@@ -0,0 +1,61 @@
+// Extension: Build Word Activity - Put the shuffled syllables of a pictured word in order
+class BuildWordActivity {
+    static getLevels() {
+        return {
+            1: { descriptionKey: 'TWO_SYLLABLE_WORDS' },
+            2: { descriptionKey: 'THREE_SYLLABLE_WORDS' },
+            3: { descriptionKey: 'ALL_WORDS' }
+        };
+    }
+
+    // Words with a picture and no repeated syllable (МА-МА could be built in either order)
+    static getPicturedWords() {
+        const pictures = WordsActivity.getWordPictures();
+        return Object.keys(pictures)
+            .map(word => ({ word: word, emoji: pictures[word], syllables: Syllabifier.split(word) }))
+            .filter(item => new Set(item.syllables).size === item.syllables.length);
+    }
+
+    static generateProblem(level) {
+        let words = this.getPicturedWords();
+        if (level === 1) {
+            words = words.filter(item => item.syllables.length === 2);
+        } else if (level === 2) {
+            words = words.filter(item => item.syllables.length === 3);
+        }
+        const item = words[Math.floor(Math.random() * words.length)];
+
+        return this.buildProblem(item.word, item.emoji, item.syllables);
+    }
+
+    // Self-checked: the answer is the numbers of the shown syllables in reading order
+    static buildProblem(word, emoji, syllables) {
+        let shuffled;
+        do {
+            shuffled = [...syllables];
+            for (let i = shuffled.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+            }
+        } while (shuffled.join('-') === syllables.join('-'));
+
+        return {
+            display: emoji,
+            word: word,
+            options: shuffled,
+            operation: 'syllable_ordering',
+            answer: syllables.map(syllable => shuffled.indexOf(syllable) + 1).join(''),
+            allowedSymbols: shuffled.map((syllable, index) => String(index + 1)),
+            sequenceAnswer: true,
+            selfChecked: true
+        };
+    }
+
+    static getRewardMessages() {
+        return ['BULGARIAN_REWARD_MESSAGES'];
+    }
+
+    static getOperationKey() {
+        return 'BUILD_WORD';
+    }
+}
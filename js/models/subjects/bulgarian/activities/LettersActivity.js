@@ -5,41 +5,65 @@ class LettersActivity {
             1: { descriptionKey: 'LETTER_RECOGNITION_EMOJI' },
             2: { descriptionKey: 'VOWELS' },
             3: { descriptionKey: 'CONSONANTS' },
-            4: { descriptionKey: 'ALL_LETTERS' }
+            4: { descriptionKey: 'ALL_LETTERS' },
+            5: { descriptionKey: 'LOWERCASE_LETTERS' },
+            6: { descriptionKey: 'MIXED_CASE_LETTERS' },
+            7: { descriptionKey: 'MATCH_LETTER_CASE' },
+            8: { descriptionKey: 'TYPE_FIRST_LETTER' }
+        };
+    }
+
+    // The word each picture stands for, grouped by its first letter
+    static getLetterWordMap() {
+        return {
+            'А': { '🚗': 'АВТОМОБИЛ', '🚌': 'АВТОБУС', '🍍': 'АНАНАС', '🦈': 'АКУЛА' },
+            'Б': { '🍌': 'БАНАН', '🎈': 'БАЛОН', '🍪': 'БИСКВИТА', '🥁': 'БАРАБАН', '👵': 'БАБА', '🦉': 'БУХАЛ', '🏨': 'БОЛНИЦА' },
+            'В': { '🐺': 'ВЪЛК', '🌊': 'ВЪЛНА', '🚂': 'ВЛАК', '🚲': 'ВЕЛОСИПЕД', '🚪': 'ВРАТА', '🚁': 'ВЕРТОЛЕТ', '👬': 'ВНУЦИ' },
+            'Г': { '🍄': 'ГЪБА', '🪿': 'ГЪСКА', '🍇': 'ГРОЗДЕ', '🕊️': 'ГЪЛЪБ' },
+            'Д': { '🌳': 'ДЪРВО', '🦕': 'ДИНОЗАВЪР', '🍉': 'ДИНЯ', '🍅': 'ДОМАТ', '🐬': 'ДЕЛФИН' },
+            'Е': { '🦌': 'ЕЛЕН', '🦄': 'ЕДНОРОГ', '🏞️': 'ЕЗЕРО', '🏷️': 'ЕТИКЕТ' },
+            'Ж': { '🐸': 'ЖАБА', '🦒': 'ЖИРАФ', '🟡': 'ЖЪЛТО', '🎫': 'ЖЕТОН' },
+            'З': { '🐰': 'ЗАЕК', '🦷': 'ЗЪБ', '⭐': 'ЗВЕЗДА', '🐍': 'ЗМИЯ', '🥬': 'ЗЕЛЕ', '🦓': 'ЗЕБРА', '🔔': 'ЗВЪНЕЦ' },
+            'И': { '🧸': 'ИГРАЧКА', '🦎': 'ИГУАНА', '💉': 'ИНЖЕКЦИЯ', '🏨': 'ИНТЕРНАТ', '🎣': 'ИЗЛОВ' },
+            'Й': { '🪀': 'ЙОЙО', '🧘': 'ЙОГА' },
+            'К': { '🐱': 'КОТКА', '🧁': 'КЕКС', '🐶': 'КУЧЕ', '🐢': 'КОСТЕНУРКА', '🔑': 'КЛЮЧ', '👑': 'КОРОНА', '🌵': 'КАКТУС', '🐿️': 'КАТЕРИЦА', '🐞': 'КАЛИНКА', '🏠': 'КЪЩА' },
+            'Л': { '🦁': 'ЛЪВ', '🍋': 'ЛИМОН', '🦊': 'ЛИСИЦА', '🌷': 'ЛАЛЕ', '🌙': 'ЛУНА', '🦢': 'ЛЕБЕД', '🥄': 'ЛЪЖИЦА', '🚑': 'ЛИНЕЙКА' },
+            'М': { '🐻': 'МЕЧКА', '🍯': 'МЕД', '🐭': 'МИШКА', '🏍️': 'МОТОР', '🥕': 'МОРКОВ', '🌩️': 'МЪЛНИЯ', '🐵': 'МАЙМУНА' },
+            'Н': { '👃': 'НОС', '✂️': 'НОЖИЦА', '🦏': 'НОСОРОГ', '🌃': 'НОЩ', '🎵': 'НОТА' },
+            'О': { '👁️': 'ОКО', '🔥': 'ОГЪН', '🐌': 'ОХЛЮВ', '🐑': 'ОВЦА', '👓': 'ОЧИЛА', '👠': 'ОБУВКА', '🦅': 'ОРЕЛ', '☁️': 'ОБЛАК' },
+            'П': { '🐧': 'ПИНГВИН', '🦜': 'ПАПАГАЛ', '🎁': 'ПОДАРЪК', '🦋': 'ПЕПЕРУДА', '🍊': 'ПОРТОКАЛ', '🍕': 'ПИЦА', '🕸️': 'ПАЯЖИНА', '🐼': 'ПАНДА', '🍆': 'ПАТЛАДЖАН', '🦇': 'ПРИЛЕП' },
+            'Р': { '🐟': 'РИБА', '🌹': 'РОЗА', '🤚': 'РЪКА', '🪴': 'РАСТЕНИЕ', '🦀': 'РАК', '🚀': 'РАКЕТА', '🤖': 'РОБОТ' },
+            'С': { '☀️': 'СЛЪНЦЕ', '🐘': 'СЛОН', '🍦': 'СЛАДОЛЕД', '❄️': 'СНЕЖИНКА', '⛄': 'СНЕЖКО', '🧀': 'СИРЕНЕ' },
+            'Т': { '🐯': 'ТИГЪР', '🍰': 'ТОРТА', '🦔': 'ТАРАЛЕЖ', '📱': 'ТЕЛЕФОН', '🚜': 'ТРАКТОР', '📺': 'ТЕЛЕВИЗОР', '🎃': 'ТИКВА' },
+            'У': { '👂': 'УХО', '👄': 'УСТА', '🏫': 'УЧИЛИЩЕ', '🙂': 'УСМИВКА' },
+            'Ф': { '⚽': 'ФУТБОЛ', '🔦': 'ФЕНЕРЧЕ', '🦩': 'ФЛАМИНГО', '📷': 'ФОТОАПАРАТ', '🥜': 'ФЪСТЪК' },
+            'Х': { '🍞': 'ХЛЯБ', '🐹': 'ХАМСТЕР', '🚁': 'ХЕЛИКОПТЕР', '🪁': 'ХВЪРЧИЛО', '🍔': 'ХАМБУРГЕР' },
+            'Ц': { '🌺': 'ЦВЕТЕ', '💐': 'ЦВЕТЯ', '🌽': 'ЦАРЕВИЦА', '🎻': 'ЦИГУЛКА' },
+            'Ч': { '☕': 'ЧАША', '🧦': 'ЧОРАП', '🍒': 'ЧЕРЕША', '☔': 'ЧАДЪР', '⌚': 'ЧАСОВНИК', '🖌️': 'ЧЕТКА', '👜': 'ЧАНТА' },
+            'Ш': { '🧢': 'ШАПКА', '🎪': 'ШАТЪР', '🍫': 'ШОКОЛАД', '🍼': 'ШИШЕ', '🛷': 'ШЕЙНА' },
+            'Щ': { '🦗': 'ЩУРЕЦ' },
+            'Ъ': { '📐': 'ЪГЪЛ' },
+            'Ю': { '👊': 'ЮМРУК', '🛌': 'ЮРГАН' },
+            'Я': { '🍎': 'ЯБЪЛКА', '🍓': 'ЯГОДА', '🥚': 'ЯЙЦЕ', '🧥': 'ЯКЕ', '🦡': 'ЯЗОВЕЦ' }
         };
     }
 
     static getLetterEmojiMap() {
+        const wordMap = this.getLetterWordMap();
+        const emojiMap = {};
+        Object.keys(wordMap).forEach(letter => {
+            emojiMap[letter] = Object.keys(wordMap[letter]);
+        });
+        return emojiMap;
+    }
+
+    // Bulgarian phonetic keyboard layout, so children can type Cyrillic on a Latin keyboard
+    static getPhoneticKeyMap() {
         return {
-            'А': ['🚗', '🚌', '🍍', '🦈'],
-            'Б': ['🍌', '🎈', '🍪', '🥁', '👵', '🦉', '🏨'],
-            'В': ['🐺', '🌊', '🚂', '🚲', '🚪', '🚁', '👬'],
-            'Г': ['🍄', '🪿', '🍇', '🕊️'],
-            'Д': ['🌳', '🦕', '🍉', '🍅', '🐬'],
-            'Е': ['🦌', '🦄', '🏞️', '🏷️'],
-            'Ж': ['🐸', '🦒', '🟡', '🎫'],
-            'З': ['🐰', '🦷', '⭐', '🐍', '🥬', '🦓', '🔔'],
-            'И': ['🧸', '🦎', '💉', '🏨', '🎣'],
-            'Й': ['🪀', '🧘'],
-            'К': ['🐱', '🧁', '🐶', '🐢', '🔑', '👑', '🌵', '🐿️', '🐞', '🏠'],
-            'Л': ['🦁', '🍋', '🦊', '🌷', '🌙', '🦢', '🥄', '🚑'],
-            'М': ['🐻', '🍯', '🐭', '🏍️', '🥕', '🌩️', '🐵'],
-            'Н': ['👃', '✂️', '🦏', '🌃', '🎵'],
-            'О': ['👁️', '🔥', '🐌', '🐑', '👓', '👠', '🦅', '☁️'],
-            'П': ['🐧', '🦜', '🎁', '🦋', '🍊', '🍕', '🕸️', '🐼', '🍆', '🦇'],
-            'Р': ['🐟', '🌹', '🤚', '🪴', '🦀', '🚀', '🤖'],
-            'С': ['☀️', '🐘', '🍦', '❄️', '⛄', '🧀'],
-            'Т': ['🐯', '🍰', '🦔', '📱', '🚜', '📺', '🎃'],
-            'У': ['👂', '👄', '🏫', '🙂'],
-            'Ф': ['⚽', '🔦', '🦩', '📷', '🥜'],
-            'Х': ['🍞', '🐹', '🚁', '🪁', '🍔'],
-            'Ц': ['🌺', '💐', '🌽', '🎻'],
-            'Ч': ['☕', '🧦', '🍒', '☔', '⌚', '🖌️', '👜'],
-            'Ш': ['🧢', '🎪', '🍫', '🍼', '🛷'],
-            'Щ': ['🦗'],
-            'Ъ': ['📐'],
-            'Ю': ['👊', '🛌'],
-            'Я': ['🍎', '🍓', '🥚', '🧥', '🦡']
+            'a': 'А', 'b': 'Б', 'w': 'В', 'g': 'Г', 'd': 'Д', 'e': 'Е', 'v': 'Ж', 'z': 'З',
+            'i': 'И', 'j': 'Й', 'k': 'К', 'l': 'Л', 'm': 'М', 'n': 'Н', 'o': 'О', 'p': 'П',
+            'r': 'Р', 's': 'С', 't': 'Т', 'u': 'У', 'f': 'Ф', 'h': 'Х', 'c': 'Ц', '`': 'Ч',
+            '[': 'Ш', ']': 'Щ', 'y': 'Ъ', '\\': 'Ю', 'q': 'Я'
         };
     }
 
@@ -65,9 +89,20 @@ class LettersActivity {
             letter = vowels[Math.floor(Math.random() * vowels.length)];
         } else if (level === 3) {
             letter = consonants[Math.floor(Math.random() * consonants.length)];
+        } else if (level === 8) {
+            // Level 8: The child types the letter the pictured word starts with
+            return this.buildFirstLetterProblem();
+        } else if (level === 7) {
+            // Level 7: A lowercase letter and four numbered uppercase candidates - the child picks the number
+            return this.buildCaseMatchingProblem([...vowels, ...consonants]);
         } else {
             const allLetters = [...vowels, ...consonants];
             letter = allLetters[Math.floor(Math.random() * allLetters.length)];
+
+            // Level 5: lowercase letters, Level 6: lowercase or uppercase at random
+            if (level === 5 || (level === 6 && Math.random() < 0.5)) {
+                letter = letter.toLowerCase();
+            }
         }
 
         return {
@@ -77,6 +112,48 @@ class LettersActivity {
         };
     }
 
+    // Self-checked: the answer is the number of the matching uppercase letter
+    static buildCaseMatchingProblem(allLetters) {
+        const candidates = [...allLetters];
+        for (let i = candidates.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+        }
+        const options = candidates.slice(0, 4);
+        const answerIndex = Math.floor(Math.random() * options.length);
+
+        return {
+            display: options[answerIndex].toLowerCase(),
+            options: options,
+            operation: 'letter_case_matching',
+            answer: answerIndex + 1,
+            allowedSymbols: options.map((option, index) => String(index + 1)),
+            selfChecked: true
+        };
+    }
+
+    // Self-checked: only pictures listed under a single letter, so the answer is never ambiguous
+    static buildFirstLetterProblem() {
+        const emojiMap = this.getLetterEmojiMap();
+        const allEmojis = Object.values(emojiMap).flat();
+        const choices = [];
+        Object.keys(emojiMap).forEach(letter => {
+            emojiMap[letter]
+                .filter(emoji => allEmojis.indexOf(emoji) === allEmojis.lastIndexOf(emoji))
+                .forEach(emoji => choices.push({ letter, emoji }));
+        });
+        const choice = choices[Math.floor(Math.random() * choices.length)];
+
+        return {
+            display: choice.emoji,
+            letter: choice.letter,
+            operation: 'emoji_first_letter',
+            answer: choice.letter,
+            letterInput: true,
+            selfChecked: true
+        };
+    }
+
     static getRewardMessages() {
         return ['BULGARIAN_REWARD_MESSAGES'];
     }
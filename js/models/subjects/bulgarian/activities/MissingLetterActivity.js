@@ -0,0 +1,63 @@
+// Extension: Missing Letter Activity - Complete a pictured word by picking its missing letter
+class MissingLetterActivity {
+    static getLevels() {
+        return {
+            1: { descriptionKey: 'MISSING_FIRST_LETTER' },
+            2: { descriptionKey: 'MISSING_ANY_LETTER' }
+        };
+    }
+
+    // Every picture and its word from the letters data
+    static getPicturedWords() {
+        const wordMap = LettersActivity.getLetterWordMap();
+        const pictured = [];
+        Object.keys(wordMap).forEach(letter => {
+            Object.keys(wordMap[letter]).forEach(emoji => {
+                pictured.push({ emoji: emoji, word: wordMap[letter][emoji] });
+            });
+        });
+        return pictured;
+    }
+
+    static generateProblem(level) {
+        const pictured = this.getPicturedWords();
+        const item = pictured[Math.floor(Math.random() * pictured.length)];
+
+        // Level 1: the first letter is missing, Level 2: any letter
+        const position = level === 2 ? Math.floor(Math.random() * item.word.length) : 0;
+        return this.buildProblem(item.word, item.emoji, position);
+    }
+
+    // Self-checked: the answer is the number of the missing letter among four numbered letters
+    static buildProblem(word, emoji, position) {
+        const letter = word[position];
+        const others = Object.keys(LettersActivity.getLetterWordMap()).filter(candidate => candidate !== letter);
+        for (let i = others.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [others[i], others[j]] = [others[j], others[i]];
+        }
+
+        const options = others.slice(0, 3);
+        const answerIndex = Math.floor(Math.random() * 4);
+        options.splice(answerIndex, 0, letter);
+
+        return {
+            display: emoji,
+            word: word,
+            maskedWord: `${word.slice(0, position)}_${word.slice(position + 1)}`,
+            options: options,
+            operation: 'missing_letter',
+            answer: answerIndex + 1,
+            allowedSymbols: ['1', '2', '3', '4'],
+            selfChecked: true
+        };
+    }
+
+    static getRewardMessages() {
+        return ['BULGARIAN_REWARD_MESSAGES'];
+    }
+
+    static getOperationKey() {
+        return 'MISSING_LETTER';
+    }
+}
@@ -0,0 +1,116 @@
+// Extension: Sentences Activity - Reading sentences and short stories, judged sentence by sentence
+class SentencesActivity {
+    static getLevels() {
+        return {
+            1: { descriptionKey: 'THREE_WORD_SENTENCES' },
+            2: { descriptionKey: 'LONGER_SENTENCES' },
+            3: { descriptionKey: 'SHORT_STORIES' }
+        };
+    }
+
+    static getThreeWordSentences() {
+        return [
+            'Мама готви супа.', 'Тати чете книга.', 'Котето пие мляко.',
+            'Кучето гони топка.', 'Баба плете чорапи.', 'Дядо кара колело.',
+            'Слънцето грее ярко.', 'Рибката плува бързо.', 'Аз обичам ягоди.',
+            'Зайчето яде морков.', 'Птичката пее песен.', 'Децата играят навън.',
+            'Вали силен дъжд.', 'Ира рисува цвете.', 'Мечо спи сладко.',
+            'Пиленцето търси зрънца.', 'Лятото е топло.', 'Снегът е бял.'
+        ];
+    }
+
+    // Up to nine words, so the parent can mark a word with the number keys
+    static getLongerSentences() {
+        return [
+            'Мама и тати отиват на разходка в парка.',
+            'Малкото коте си играе с червено кълбо.',
+            'През зимата децата правят голям снежен човек.',
+            'Баба пече вкусна баница за неделя.',
+            'Кучето Шаро чака пред вратата на къщата.',
+            'На поляната растат жълти и бели цветя.',
+            'Ани и Иво строят замък от пясък.',
+            'Вечер дядо ми разказва интересни приказки.',
+            'Зеленото жабче скочи в малкото езеро.',
+            'В градината има ябълки, круши и сливи.',
+            'Влакът пристигна на гарата точно навреме.',
+            'Катеричката събира жълъди за зимата.'
+        ];
+    }
+
+    // Short stories, read page by page
+    static getStories() {
+        return [
+            {
+                title: 'Малкото коте',
+                sentences: [
+                    'Имало едно малко коте.', 'То живеело в голяма къща.',
+                    'Един ден котето видяло пеперуда.', 'То тичало след нея в градината.',
+                    'Пеперудата отлетяла високо.', 'Котето се върнало при мама.'
+                ]
+            },
+            {
+                title: 'Зимен ден',
+                sentences: [
+                    'Навън вали сняг.', 'Ива и Петър облякоха топли якета.',
+                    'Те направиха снежен човек.', 'Носът му беше морков.',
+                    'После пиха горещ чай.'
+                ]
+            },
+            {
+                title: 'Рожденият ден на Мечо',
+                sentences: [
+                    'Днес Мечо има рожден ден.', 'Приятелите му донесоха подаръци.',
+                    'Зайо донесе голям морков.', 'Лиса донесе кошница с мед.',
+                    'Всички пяха и танцуваха.', 'Мечо беше много щастлив.'
+                ]
+            },
+            {
+                title: 'На море',
+                sentences: [
+                    'През лятото ходихме на море.', 'Водата беше топла и синя.',
+                    'Събирах мидички на плажа.', 'Татко ми купи сладолед.'
+                ]
+            }
+        ];
+    }
+
+    static generateProblem(level) {
+        if (level === 1 || level === 2) {
+            // Levels 1-2: One sentence on one page
+            const sentences = level === 1 ? this.getThreeWordSentences() : this.getLongerSentences();
+            const sentence = sentences[Math.floor(Math.random() * sentences.length)];
+            return this.buildProblem(null, [sentence]);
+        }
+
+        // Level 3: A short story, two sentences per page
+        const stories = this.getStories();
+        const story = stories[Math.floor(Math.random() * stories.length)];
+        return this.buildProblem(story.title, story.sentences);
+    }
+
+    // Pages hold sentences as word lists; the parent judges the current sentence with Enter/Delete
+    static buildProblem(title, sentences, sentencesPerPage = 2) {
+        const pages = [];
+        for (let i = 0; i < sentences.length; i += sentencesPerPage) {
+            pages.push(sentences.slice(i, i + sentencesPerPage).map(sentence => sentence.split(' ')));
+        }
+
+        return {
+            title: title,
+            pages: pages,
+            currentPage: 0,
+            currentSentence: 0,
+            markedWords: [],
+            operation: 'read_sentences',
+            answer: 'correct'
+        };
+    }
+
+    static getRewardMessages() {
+        return ['BULGARIAN_REWARD_MESSAGES'];
+    }
+
+    static getOperationKey() {
+        return 'SENTENCES';
+    }
+}
@@ -8,55 +8,67 @@ class WordsActivity {
         };
     }
     
-    static generateProblem(level) {
-        // Bulgarian words with syllables separated by dash
-        // Following Bulgarian syllable division rules:
-        // - One consonant between vowels goes to next syllable (ба-ща, во-да)
-        // - Two consonants between vowels split (кар-та, дър-во)
-        // - Three+ consonants: first to previous, rest to next (вра-та, стру-на)
-        // - Groups at beginning/end attach to nearest vowel (цве-те, град)
-        const twoSyllableWords = [
-            'МА-МА', 'ТА-ТА', 'БА-БА', 'ДЯ-ДО',
-            'ВО-ДА', 'РА-НО', 'МО-РЕ', 'ГО-РА',
-            'ДЪ-ГА', 'РЪ-КА', 'НО-СА', 'КО-СА',
-            'МА-СА', 'ЛУ-НА', 'ЗИ-МА', 'ЛЯ-ТО',
-            'КО-ТЕ', 'КУ-ЧЕ', 'РИ-БА', 'ПИ-ЛЕ',
-            'СИ-НЯ', 'БЯ-ЛА', 'МА-ЛЪК', 'ГО-ЛЯМ',
-            'БА-ЩА', 'ВРА-ТА', 'ГЛА-ВА', 'НО-ГА',
-            'СТЕ-НА', 'ТРЕ-ВА', 'ПЛО-ЧА', 'ДЪ-ЩА',
-            'ВО-ЛЯ', 'ЗЕ-МЯ', 'РЕ-КА', 'ПО-ЛЕ',
-            'ГО-РЕ', 'ЦВЕ-ТЕ', 'ДЪР-ВО', 'КАР-ТА',
-            'ПЪТ-Я', 'ПЕ-СЕН', 'ЖИ-ВОТ', 'ЮН-АК',
-            'ПРАЗ-НИК', 'СЛЪН-ЦЕ', 'УТ-РИН', 'ВЕ-ЧЕР',
-            'СТРУ-НА', 'БАБ-КА', 'МАЙ-КА', 'ТАТ-КО',
-            'СИ-НЬО', 'БЯ-ЛО', 'КУК-ЛА'
-        ];
-        
-        const threeSyllableWords = [
-            'ДЕ-ТЕ-ТО', 'МО-МИ-ЧЕ', 'МО-МЧЕ-ТО',
-            'ЗА-ЕК-ЧЕ', 'МЕ-ЧЕ-ТО', 'КО-ТЕ-ТО',
-            'РА-БО-ТА', 'У-ТРО-ТО', 'ВЕ-ЧЕ-РЯ',
-            'ЦВЕ-ТЕ-ТО', 'ЗВЕЗ-ДА-ТА', 'КНИ-ГА-ТА',
-            'У-ЧИ-ТЕЛ', 'ПЛА-НИ-НА', 'ЧЕР-ВЕ-НО',
-            'ПРО-ЗО-РЕЦ', 'МА-СИЧ-КА', 'ПА-ТИЧ-КА',
-            'ГРА-ДИН-КА', 'ПА-ТЕН-ЦЕ',
-            'КО-ТЕН-ЦЕ', 'КУ-ЧЕН-ЦЕ', 'ДЕ-ТЕН-ЦЕ',
-            'ЯГО-ДА'
+    // Plain words - the syllables are split by the Syllabifier
+    static getWords() {
+        return [
+            'МАМА', 'ТАТА', 'БАБА', 'ДЯДО',
+            'ВОДА', 'РАНО', 'МОРЕ', 'ГОРА',
+            'ДЪГА', 'РЪКА', 'НОСА', 'КОСА',
+            'МАСА', 'ЛУНА', 'ЗИМА', 'ЛЯТО',
+            'КОТЕ', 'КУЧЕ', 'РИБА', 'ПИЛЕ',
+            'СИНЯ', 'БЯЛА', 'МАЛЪК', 'ГОЛЯМ',
+            'БАЩА', 'ВРАТА', 'ГЛАВА', 'НОГА',
+            'СТЕНА', 'ТРЕВА', 'ПЛОЧА', 'ДЪЩА',
+            'ВОЛЯ', 'ЗЕМЯ', 'РЕКА', 'ПОЛЕ',
+            'ГОРЕ', 'ЦВЕТЕ', 'ДЪРВО', 'КАРТА',
+            'ПЪТЯ', 'ПЕСЕН', 'ЖИВОТ', 'ЮНАК',
+            'ПРАЗНИК', 'СЛЪНЦЕ', 'УТРИН', 'ВЕЧЕР',
+            'СТРУНА', 'БАБКА', 'МАЙКА', 'ТАТКО',
+            'СИНЬО', 'БЯЛО', 'КУКЛА',
+            'ДЕТЕТО', 'МОМИЧЕ', 'МОМЧЕТО',
+            'ЗАЕКЧЕ', 'МЕЧЕТО', 'КОТЕТО',
+            'РАБОТА', 'УТРОТО', 'ВЕЧЕРЯ',
+            'ЦВЕТЕТО', 'ЗВЕЗДАТА', 'КНИГАТА',
+            'УЧИТЕЛ', 'ПЛАНИНА', 'ЧЕРВЕНО',
+            'ПРОЗОРЕЦ', 'МАСИЧКА', 'ПАТИЧКА',
+            'ГРАДИНКА', 'ПАТЕНЦЕ',
+            'КОТЕНЦЕ', 'КУЧЕНЦЕ', 'ДЕТЕНЦЕ',
+            'ЯГОДА'
         ];
-        
-        let word;
+    }
+
+    // Pictures for the words that can be drawn with an emoji
+    static getWordPictures() {
+        return {
+            'МАМА': '👩', 'БАБА': '👵', 'ДЯДО': '👴', 'ВОДА': '💧',
+            'МОРЕ': '🌊', 'ГОРА': '🌲', 'ДЪГА': '🌈', 'РЪКА': '✋',
+            'ЛУНА': '🌙', 'ЗИМА': '⛄', 'КОТЕ': '🐱', 'КУЧЕ': '🐶',
+            'РИБА': '🐟', 'ПИЛЕ': '🐥', 'ВРАТА': '🚪', 'НОГА': '🦵',
+            'РЕКА': '🏞️', 'ЦВЕТЕ': '🌸', 'ДЪРВО': '🌳', 'КАРТА': '🗺️',
+            'ПЕСЕН': '🎵', 'СЛЪНЦЕ': '☀️', 'КУКЛА': '🪆', 'МОМИЧЕ': '👧',
+            'МОМЧЕТО': '👦', 'ЗАЕКЧЕ': '🐰', 'МЕЧЕТО': '🧸', 'ЗВЕЗДАТА': '⭐',
+            'КНИГАТА': '📖', 'ПЛАНИНА': '⛰️', 'ПРОЗОРЕЦ': '🪟', 'ПАТЕНЦЕ': '🐤',
+            'ЯГОДА': '🍓'
+        };
+    }
+
+    static generateProblem(level) {
+        const words = this.getWords().map(word => Syllabifier.hyphenate(word));
+        const syllableCount = word => word.split('-').length;
+
+        let choices;
         if (level === 1) {
             // Two syllable words
-            word = twoSyllableWords[Math.floor(Math.random() * twoSyllableWords.length)];
+            choices = words.filter(word => syllableCount(word) === 2);
         } else if (level === 2) {
             // Three syllable words
-            word = threeSyllableWords[Math.floor(Math.random() * threeSyllableWords.length)];
+            choices = words.filter(word => syllableCount(word) === 3);
         } else {
             // All words
-            const allWords = [...twoSyllableWords, ...threeSyllableWords];
-            word = allWords[Math.floor(Math.random() * allWords.length)];
+            choices = words;
         }
-        
+        const word = choices[Math.floor(Math.random() * choices.length)];
+
         return {
             display: word,
             answer: 'correct',
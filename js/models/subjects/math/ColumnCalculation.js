@@ -0,0 +1,110 @@
+// Column Calculation - Builds step-by-step column arithmetic for any number of digits
+class ColumnCalculation {
+    static getPlaceKeys() {
+        return ['ONES', 'TENS', 'HUNDREDS', 'THOUSANDS'];
+    }
+
+    // Create a multi-step problem for num1 (+, -, ×) num2 with one step list per column
+    static createProblem(num1, num2, operationSign) {
+        const steps = this.buildSteps(num1, num2, operationSign);
+
+        return {
+            num1: num1,
+            num2: num2,
+            operation: 'place_value_calculation',
+            operationSign: operationSign,
+            answer: steps[steps.length - 1].answer,
+            currentStep: 1,
+            steps: steps,
+            stepAnswers: steps.map(step => step.answer),
+            hasInfoIcon: false
+        };
+    }
+
+    // Split a number into digits, least significant first, padded to the given length
+    static getDigits(number, length) {
+        const digits = [];
+        for (let column = 0; column < length; column++) {
+            digits.push(Math.floor(number / Math.pow(10, column)) % 10);
+        }
+        return digits;
+    }
+
+    // Steps per column: the column result, then its carry/borrow (except after the last column),
+    // followed by a final step that combines the column results into the answer.
+    // Multiplication is by a single digit (num2), carrying like addition.
+    static buildSteps(num1, num2, operationSign) {
+        const isSubtraction = operationSign === '-';
+        const isMultiplication = operationSign === '×';
+        const suffix = isSubtraction ? '_SUB' : (isMultiplication ? '_MUL' : '');
+        const placeKeys = this.getPlaceKeys();
+
+        const columnCount = isMultiplication || isSubtraction
+            ? String(num1).length
+            : Math.max(String(num1).length, String(num2).length);
+        const digits1 = this.getDigits(num1, columnCount);
+        const digits2 = this.getDigits(num2, columnCount);
+
+        const steps = [];
+        const columnResults = [];
+        let carry = 0;
+
+        for (let column = 0; column < columnCount; column++) {
+            const isLastColumn = column === columnCount - 1;
+            const digit1 = digits1[column];
+            const digit2 = digits2[column];
+            let operation, value, nextCarry;
+
+            if (isMultiplication) {
+                const carryText = carry > 0 ? ` + ${carry}` : '';
+                operation = `${digit1} × ${num2}${carryText}`;
+                value = digit1 * num2 + carry;
+                nextCarry = Math.floor(value / 10);
+            } else if (isSubtraction) {
+                const borrowText = carry > 0 ? ` - ${carry}` : '';
+                operation = `${digit1} - ${digit2}${borrowText}`;
+                const top = digit1 - carry;
+                nextCarry = top < digit2 ? 1 : 0;
+                value = top + nextCarry * 10 - digit2;
+            } else {
+                const carryText = carry > 0 ? ` + ${carry}` : '';
+                operation = `${digit1} + ${digit2}${carryText}`;
+                value = digit1 + digit2 + carry;
+                nextCarry = Math.floor(value / 10);
+            }
+
+            steps.push({
+                descriptionKey: `STEP_DESC_${placeKeys[column]}${suffix}`,
+                operation: operation,
+                answer: value
+            });
+
+            if (isLastColumn) {
+                // The last column keeps its whole value (e.g. 12 hundreds)
+                columnResults.push(value);
+            } else {
+                columnResults.push(isSubtraction ? value : value % 10);
+                steps.push({
+                    descriptionKey: isSubtraction ? 'STEP_DESC_BORROW' : 'STEP_DESC_CARRY',
+                    labelKey: isSubtraction ? 'STEP_BORROW' : 'STEP_CARRY',
+                    tooltipKey: isSubtraction ? 'TOOLTIP_BORROW' : 'TOOLTIP_CARRY',
+                    answer: nextCarry
+                });
+            }
+
+            carry = nextCarry;
+        }
+
+        const terms = columnResults
+            .map((value, column) => value * Math.pow(10, column))
+            .reverse();
+
+        steps.push({
+            descriptionKey: isSubtraction ? 'STEP_DESC_COMBINE_SUB' : 'STEP_DESC_COMBINE',
+            operation: terms.join(' + '),
+            answer: terms.reduce((sum, term) => sum + term, 0)
+        });
+
+        return steps;
+    }
+}
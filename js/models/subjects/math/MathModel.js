@@ -9,6 +9,7 @@ class MathModel {
         this.problemsSolved = 0;
         this.correctAnswersStreak = 0; // Track consecutive correct answers for badges
         this.currentProblem = null;
+        this.operationResults = {}; // Review mode: { addition: { icon, correct, wrong } }
         
         // Get levels from the operation extension
         this.levels = operationExtension.getLevels();
@@ -17,12 +18,17 @@ class MathModel {
     // Generate a math problem based on current level and operation
     generateProblem() {
         // Delegate problem generation to the operation extension
-        this.currentProblem = this.operationExtension.generateProblem(this.currentLevel);
+        // (extensions that build text, like word problems, use the localization)
+        this.currentProblem = this.operationExtension.generateProblem(this.currentLevel, this.localization);
         return this.currentProblem;
     }
     
     // Check if the user's answer is correct
     checkAnswer(userAnswer) {
+        // Symbol answers (e.g. <, >, = for comparison) are compared as strings
+        if (typeof this.currentProblem.answer === 'string') {
+            return String(userAnswer).trim() === this.currentProblem.answer;
+        }
         return parseInt(userAnswer) === this.currentProblem.answer;
     }
     
@@ -31,6 +37,27 @@ class MathModel {
         this.score += 10;
         this.problemsSolved++;
         this.correctAnswersStreak++;
+        this.recordOperationResult('correct');
+    }
+    
+    // Count a wrong answer (only kept per operation, the score is not reduced)
+    recordWrongAnswer() {
+        this.recordOperationResult('wrong');
+    }
+    
+    // Review problems carry the operation they came from, so results are kept per operation.
+    // Each problem counts once: a wrong step marks it wrong, and finishing it later does not add a correct result
+    recordOperationResult(outcome) {
+        const problem = this.currentProblem;
+        if (!problem || !problem.reviewOperation || problem.resultRecorded) {
+            return;
+        }
+        
+        problem.resultRecorded = true;
+        if (!this.operationResults[problem.reviewOperation]) {
+            this.operationResults[problem.reviewOperation] = { icon: problem.reviewIcon, correct: 0, wrong: 0 };
+        }
+        this.operationResults[problem.reviewOperation][outcome]++;
     }
     
     // Reset game statistics
@@ -38,6 +65,7 @@ class MathModel {
         this.score = 0;
         this.problemsSolved = 0;
         this.correctAnswersStreak = 0;
+        this.operationResults = {};
     }
     
     // Set current level and operation
@@ -108,6 +136,7 @@ class MathModel {
             score: this.score,
             problemsSolved: this.problemsSolved,
             currentProblem: this.currentProblem,
+            operationResults: this.operationResults,
             levels: this.getLocalizedLevels()
         };
     }
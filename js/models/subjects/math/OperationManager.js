@@ -11,18 +11,79 @@ class OperationManager {
                 key: 'SUBTRACTION', 
                 extensionClass: SubtractionLevels,
                 icon: '-'
+            },
+            'multiplication': {
+                key: 'MULTIPLICATION',
+                extensionClass: MultiplicationLevels,
+                icon: '×'
+            },
+            'division': {
+                key: 'DIVISION',
+                extensionClass: DivisionLevels,
+                icon: '÷'
+            },
+            'comparison': {
+                key: 'COMPARISON',
+                extensionClass: ComparisonLevels,
+                icon: '<>'
+            },
+            'counting': {
+                key: 'COUNTING',
+                extensionClass: CountingLevels,
+                icon: '123'
+            },
+            'time': {
+                key: 'TIME',
+                extensionClass: ClockLevels,
+                icon: '🕒'
+            },
+            'money': {
+                key: 'MONEY',
+                extensionClass: MoneyLevels,
+                icon: '💰'
+            },
+            'sequences': {
+                key: 'SEQUENCES',
+                extensionClass: SequenceLevels,
+                icon: '…'
+            },
+            'number_sense': {
+                key: 'NUMBER_SENSE',
+                extensionClass: NumberSenseLevels,
+                icon: '±1'
+            },
+            'shapes': {
+                key: 'SHAPES',
+                extensionClass: ShapeLevels,
+                icon: '△'
+            },
+            'fractions': {
+                key: 'FRACTIONS',
+                extensionClass: FractionLevels,
+                icon: '½'
+            },
+            'word_problems': {
+                key: 'WORD_PROBLEMS',
+                extensionClass: WordProblemLevels,
+                icon: '📖'
+            },
+            'measurement': {
+                key: 'MEASUREMENT',
+                extensionClass: MeasurementLevels,
+                icon: '📏'
+            },
+            'calendar': {
+                key: 'CALENDAR',
+                extensionClass: CalendarLevels,
+                icon: '📅'
+            },
+            'review': {
+                key: 'REVIEW',
+                extensionClass: ReviewLevels,
+                icon: '🔀',
+                // Mixes the other operations - the controller builds an instance from the played levels
+                composite: true
             }
-            // Future operations can be added here:
-            // 'multiplication': {
-            //     key: 'MULTIPLICATION',
-            //     extensionClass: MultiplicationLevels,
-            //     icon: '×'
-            // },
-            // 'division': {
-            //     key: 'DIVISION',
-            //     extensionClass: DivisionLevels,
-            //     icon: '÷'
-            // }
         };
     }
     
@@ -49,6 +110,12 @@ class OperationManager {
         return operation ? operation.icon : '?';
     }
     
+    // Check if operation mixes problems from other operations
+    isCompositeOperation(operationName) {
+        const operation = this.operations[operationName];
+        return operation ? !!operation.composite : false;
+    }
+    
     // Check if operation exists
     hasOperation(operationName) {
         return this.operations.hasOwnProperty(operationName);
@@ -2,10 +2,17 @@
 class AdditionLevels {
     static getLevels() {
         return {
-            1: { descriptionKey: 'SINGLE_DIGITS' },
+            // numberLine: 'always' shows the number line after a wrong answer,
+            // 'optional' only when a parent has turned it on (key 0 on the level screen)
+            1: { descriptionKey: 'SINGLE_DIGITS', numberLine: 'optional' },
             2: { descriptionKey: 'PLACE_VALUE_RECOGNITION' },
-            3: { descriptionKey: 'UP_TO_20' },
-            4: { descriptionKey: 'PLACE_VALUE_CALCULATION' }
+            3: { descriptionKey: 'UP_TO_20', numberLine: 'optional' },
+            4: { descriptionKey: 'PLACE_VALUE_CALCULATION' },
+            5: { descriptionKey: 'MISSING_NUMBER_TO_10', numberLine: 'always' },
+            6: { descriptionKey: 'MISSING_NUMBER_TO_20', numberLine: 'always' },
+            7: { descriptionKey: 'THREE_DIGIT_COLUMN_CALCULATION' },
+            8: { descriptionKey: 'FOUR_DIGIT_COLUMN_CALCULATION' },
+            9: { descriptionKey: 'MAKE_TEN_STRATEGY' }
         };
     }
     
@@ -55,36 +62,50 @@ class AdditionLevels {
             const num1 = this.randomInt(10, 49);
             const num2 = this.randomInt(10, 49);
             
-            const ones1 = num1 % 10;
-            const tens1 = Math.floor(num1 / 10);
-            const ones2 = num2 % 10;
-            const tens2 = Math.floor(num2 / 10);
-            
-            const onesSum = ones1 + ones2;
-            const tensSum = tens1 + tens2;
-            
-            const onesFinal = onesSum % 10;
-            const carryOver = Math.floor(onesSum / 10);
-            const tensFinal = tensSum + carryOver;
-            const finalAnswer = tensFinal * 10 + onesFinal;
-            
+            return ColumnCalculation.createProblem(num1, num2, '+');
+        } else if (level === 5 || level === 6) {
+            // Levels 5-6: Missing addend (3 + ? = 7), sum up to 10 or 20
+            const maxResult = level === 5 ? 10 : 20;
+            const result = this.randomInt(1, maxResult);
+            const num1 = this.randomInt(0, result);
+            const num2 = result - num1;
+            const unknownSlot = Math.random() < 0.5 ? 'num1' : 'num2';
+
+            return {
+                num1: num1,
+                num2: num2,
+                result: result,
+                operation: '+',
+                unknownSlot: unknownSlot,
+                answer: unknownSlot === 'num1' ? num1 : num2
+            };
+        } else if (level === 7 || level === 8) {
+            // Levels 7-8: Column addition with three or four digits (step-by-step)
+            const min = level === 7 ? 100 : 1000;
+            const max = level === 7 ? 999 : 9999;
+
+            return ColumnCalculation.createProblem(this.randomInt(min, max), this.randomInt(min, max), '+');
+        } else if (level === 9) {
+            // Level 9: Make ten (8 + 5 = 8 + 2 + 3 = 10 + 3), sums crossing 10
+            const num1 = this.randomInt(5, 9);
+            const toTen = 10 - num1;
+            const num2 = this.randomInt(toTen + 1, 9);
+            const rest = num2 - toTen;
+            const steps = [
+                { descriptionKey: 'STEP_DESC_MAKE_TEN', operation: `10 - ${num1}`, tooltipKey: 'TOOLTIP_MAKE_TEN', answer: toTen },
+                { descriptionKey: 'STEP_DESC_SPLIT_REST', operation: `${num2} - ${toTen}`, tooltipKey: 'TOOLTIP_SPLIT_REST', answer: rest },
+                { descriptionKey: 'STEP_DESC_TEN_PLUS_REST', operation: `10 + ${rest}`, answer: 10 + rest }
+            ];
+
             return {
                 num1: num1,
                 num2: num2,
-                ones1: ones1,
-                tens1: tens1,
-                ones2: ones2,
-                tens2: tens2,
-                onesSum: onesSum,
-                onesFinal: onesFinal,
-                carryOver: carryOver,
-                tensSum: tensSum,
-                tensFinal: tensFinal,
-                operation: 'place_value_calculation',
+                operation: 'make_ten',
                 operationSign: '+',
-                answer: finalAnswer,
+                answer: num1 + num2,
                 currentStep: 1,
-                stepAnswers: [onesSum, carryOver, tensSum + carryOver, finalAnswer],
+                steps: steps,
+                stepAnswers: steps.map(step => step.answer),
                 hasInfoIcon: false
             };
         }
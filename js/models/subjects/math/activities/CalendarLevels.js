@@ -0,0 +1,99 @@
+// Extension: Calendar Levels - Days of the week, months and seasons, answered by position
+class CalendarLevels {
+    static getLevels() {
+        return {
+            1: { descriptionKey: 'CALENDAR_DAYS' },
+            2: { descriptionKey: 'CALENDAR_MONTHS' },
+            3: { descriptionKey: 'CALENDAR_SEASONS' },
+            4: { descriptionKey: 'CALENDAR_FROM_MEMORY' }
+        };
+    }
+
+    // Season of each month (January first): 1 spring, 2 summer, 3 autumn, 4 winter
+    static getMonthSeasons() {
+        return [4, 4, 1, 1, 1, 2, 2, 2, 3, 3, 3, 4];
+    }
+
+    // Names come from the localization; answers are positions so the numeric input still works
+    static generateProblem(level, localization) {
+        const days = localization.tArray('DAY_NAMES');
+        const months = localization.tArray('MONTH_NAMES');
+        const seasons = localization.tArray('SEASON_NAMES');
+
+        if (level === 1) {
+            // Level 1: Days of the week with the numbered week shown
+            return { ...this.generateDayQuestion(days, localization), options: days };
+        } else if (level === 2) {
+            // Level 2: Months of the year with the numbered months shown
+            return { ...this.generateMonthQuestion(months, localization), options: months };
+        } else if (level === 3) {
+            // Level 3: Seasons - which season a month belongs to, or how many seasons there are
+            if (Math.random() < 0.2) {
+                return this.buildProblem(localization.t('CALENDAR_SEASONS_IN_YEAR'), 4, seasons);
+            }
+            const month = this.randomInt(0, 11);
+            const question = localization.format(localization.t('CALENDAR_MONTH_SEASON'), { month: months[month] });
+            return this.buildProblem(question, this.getMonthSeasons()[month], seasons);
+        } else if (level === 4) {
+            // Level 4: Days and months from memory, without the numbered list
+            return Math.random() < 0.5
+                ? this.generateDayQuestion(days, localization)
+                : this.generateMonthQuestion(months, localization);
+        }
+
+        return this.buildProblem(localization.t('CALENDAR_DAYS_IN_WEEK'), 7);
+    }
+
+    // After/before a day (the week wraps around), or how many days a week has
+    static generateDayQuestion(days, localization) {
+        const kind = this.randomInt(0, 4);
+        if (kind === 0) {
+            return this.buildProblem(localization.t('CALENDAR_DAYS_IN_WEEK'), 7);
+        }
+
+        const day = this.randomInt(0, 6);
+        const after = kind % 2 === 1;
+        const answer = after ? (day + 1) % 7 : (day + 6) % 7;
+        const question = localization.format(localization.t(after ? 'CALENDAR_DAY_AFTER' : 'CALENDAR_DAY_BEFORE'), { day: days[day] });
+        return this.buildProblem(question, answer + 1);
+    }
+
+    // The month after a month, the position of a month, or how many months a year has
+    static generateMonthQuestion(months, localization) {
+        const kind = this.randomInt(0, 4);
+        if (kind === 0) {
+            return this.buildProblem(localization.t('CALENDAR_MONTHS_IN_YEAR'), 12);
+        }
+
+        const month = this.randomInt(0, 11);
+        if (kind % 2 === 1) {
+            const question = localization.format(localization.t('CALENDAR_MONTH_AFTER'), { month: months[month] });
+            return this.buildProblem(question, ((month + 1) % 12) + 1);
+        }
+        const question = localization.format(localization.t('CALENDAR_MONTH_POSITION'), { month: months[month] });
+        return this.buildProblem(question, month + 1);
+    }
+
+    static buildProblem(question, answer, options = null) {
+        return {
+            question: question,
+            options: options,
+            operation: 'calendar',
+            answer: answer
+        };
+    }
+
+    static getRewardMessages() {
+        return [
+            'CALENDAR_REWARD_MESSAGES'
+        ];
+    }
+
+    static getOperationKey() {
+        return 'CALENDAR';
+    }
+
+    static randomInt(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+}
@@ -0,0 +1,62 @@
+// Extension: Clock Levels - Read the hour, then the minutes, from an analog clock
+class ClockLevels {
+    static getLevels() {
+        return {
+            1: { descriptionKey: 'CLOCK_O_CLOCK' },
+            2: { descriptionKey: 'CLOCK_HALF_PAST' },
+            3: { descriptionKey: 'CLOCK_QUARTER_HOURS' },
+            4: { descriptionKey: 'CLOCK_FIVE_MINUTES' }
+        };
+    }
+
+    static generateProblem(level) {
+        const hour = this.randomInt(1, 12);
+        let minutes = 0;
+
+        if (level === 2) {
+            // Level 2: O'clock and half past
+            minutes = this.randomInt(0, 1) * 30;
+        } else if (level === 3) {
+            // Level 3: Quarter hours (:00, :15, :30, :45)
+            minutes = this.randomInt(0, 3) * 15;
+        } else if (level === 4) {
+            // Level 4: Any five-minute mark
+            minutes = this.randomInt(0, 11) * 5;
+        }
+        // Level 1: O'clock only
+
+        return this.buildProblem(hour, minutes);
+    }
+
+    static buildProblem(hour, minutes) {
+        const steps = [
+            { descriptionKey: 'STEP_DESC_HOUR', labelKey: 'STEP_HOUR', answer: hour },
+            { descriptionKey: 'STEP_DESC_MINUTES', labelKey: 'STEP_MINUTES', answer: minutes }
+        ];
+
+        return {
+            hour: hour,
+            minutes: minutes,
+            operation: 'clock_reading',
+            answer: `${hour}:${String(minutes).padStart(2, '0')}`,
+            currentStep: 1,
+            steps: steps,
+            stepAnswers: steps.map(step => step.answer),
+            hasInfoIcon: false
+        };
+    }
+
+    static getRewardMessages() {
+        return [
+            'CLOCK_REWARD_MESSAGES'
+        ];
+    }
+
+    static getOperationKey() {
+        return 'TIME';
+    }
+
+    static randomInt(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+}
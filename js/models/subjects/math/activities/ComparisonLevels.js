@@ -0,0 +1,74 @@
+// Extension: Comparison Levels - Compare two numbers with <, > or =
+class ComparisonLevels {
+    static getLevels() {
+        return {
+            1: { descriptionKey: 'COMPARE_GROUPS' },
+            2: { descriptionKey: 'COMPARE_UP_TO_20' },
+            3: { descriptionKey: 'COMPARE_UP_TO_100' }
+        };
+    }
+
+    static getGroupEmojis() {
+        return ['🍎', '🍓', '🍌', '🐟', '🐥', '⭐', '🎈', '🌷', '🍪', '⚽'];
+    }
+
+    static generateProblem(level) {
+        if (level === 1) {
+            // Level 1: Compare two groups of emoji (1-10 objects each)
+            const [num1, num2] = this.generatePair(1, 10);
+            const emojis = this.getGroupEmojis();
+            const emoji = emojis[Math.floor(Math.random() * emojis.length)];
+
+            return this.buildProblem(num1, num2, emoji);
+        } else if (level === 2) {
+            // Level 2: Compare numbers up to 20
+            const [num1, num2] = this.generatePair(0, 20);
+            return this.buildProblem(num1, num2);
+        } else if (level === 3) {
+            // Level 3: Compare numbers up to 100
+            const [num1, num2] = this.generatePair(0, 100);
+            return this.buildProblem(num1, num2);
+        }
+
+        return this.buildProblem(0, 0);
+    }
+
+    // Pick two numbers, making equal pairs common enough for "=" to be practised
+    static generatePair(min, max) {
+        const num1 = this.randomInt(min, max);
+        const num2 = Math.random() < 0.25 ? num1 : this.randomInt(min, max);
+        return [num1, num2];
+    }
+
+    static buildProblem(num1, num2, emoji = null) {
+        let answer = '=';
+        if (num1 < num2) {
+            answer = '<';
+        } else if (num1 > num2) {
+            answer = '>';
+        }
+
+        return {
+            num1: num1,
+            num2: num2,
+            emoji: emoji,
+            operation: 'comparison',
+            answer: answer,
+            allowedSymbols: ['<', '>', '=']
+        };
+    }
+
+    static getRewardMessages() {
+        return [
+            'COMPARISON_REWARD_MESSAGES'
+        ];
+    }
+
+    static getOperationKey() {
+        return 'COMPARISON';
+    }
+
+    static randomInt(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+}
@@ -0,0 +1,90 @@
+// Extension: Counting Levels - Count repeated emoji before reading digits
+class CountingLevels {
+    static getLevels() {
+        return {
+            1: { descriptionKey: 'COUNT_ROWS_TO_10' },
+            2: { descriptionKey: 'COUNT_TEN_FRAMES_TO_20' },
+            3: { descriptionKey: 'COUNT_SCATTERED_TO_10' },
+            4: { descriptionKey: 'COUNT_SCATTERED_TO_20' }
+        };
+    }
+
+    static getCountingEmojis() {
+        return ['🍎', '🍓', '🍌', '🐟', '🐥', '⭐', '🎈', '🌷', '🍪', '⚽', '🐞', '🦋'];
+    }
+
+    static generateProblem(level) {
+        let count, arrangement;
+        if (level === 1) {
+            // Level 1: Up to 10 objects in neat rows of five
+            count = this.randomInt(1, 10);
+            arrangement = 'rows';
+        } else if (level === 2) {
+            // Level 2: Up to 20 objects in ten-frames
+            count = this.randomInt(1, 20);
+            arrangement = 'ten_frame';
+        } else if (level === 3) {
+            // Level 3: Up to 10 scattered objects
+            count = this.randomInt(1, 10);
+            arrangement = 'scattered';
+        } else if (level === 4) {
+            // Level 4: Up to 20 scattered objects
+            count = this.randomInt(1, 20);
+            arrangement = 'scattered';
+        } else {
+            count = 1;
+            arrangement = 'rows';
+        }
+
+        const emojis = this.getCountingEmojis();
+        const emoji = emojis[Math.floor(Math.random() * emojis.length)];
+
+        return {
+            display: emoji,
+            count: count,
+            arrangement: arrangement,
+            positions: arrangement === 'scattered' ? this.generateScatterPositions(count) : [],
+            operation: 'emoji_counting',
+            answer: count
+        };
+    }
+
+    // Place objects in distinct cells of a 6×4 grid with a little jitter so they never overlap
+    static generateScatterPositions(count) {
+        const columns = 6;
+        const rows = 4;
+        const cells = [];
+        for (let i = 0; i < columns * rows; i++) {
+            cells.push(i);
+        }
+
+        // Shuffle cells (Fisher-Yates) and take the first `count`
+        for (let i = cells.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [cells[i], cells[j]] = [cells[j], cells[i]];
+        }
+
+        return cells.slice(0, count).map(cell => {
+            const column = cell % columns;
+            const row = Math.floor(cell / columns);
+            return {
+                x: Math.round((column + 0.2 + Math.random() * 0.6) * (100 / columns)),
+                y: Math.round((row + 0.2 + Math.random() * 0.6) * (100 / rows))
+            };
+        });
+    }
+
+    static getRewardMessages() {
+        return [
+            'COUNTING_REWARD_MESSAGES'
+        ];
+    }
+
+    static getOperationKey() {
+        return 'COUNTING';
+    }
+
+    static randomInt(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+}
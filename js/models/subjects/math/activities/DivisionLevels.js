@@ -0,0 +1,88 @@
+// Extension: Division Levels - Fair sharing, exact division and remainders
+class DivisionLevels {
+    static getLevels() {
+        return {
+            1: { descriptionKey: 'FAIR_SHARING' },
+            2: { descriptionKey: 'EXACT_DIVISION' },
+            3: { descriptionKey: 'DIVISION_WITH_REMAINDER' }
+        };
+    }
+
+    static getShareEmojis() {
+        return ['🍎', '🍓', '🍌', '🍪', '🍬', '🎈', '⭐', '🌷', '🥕', '⚽'];
+    }
+
+    static generateProblem(level) {
+        if (level === 1) {
+            // Level 1: Fair sharing - split N objects equally into K groups
+            const groupCount = this.randomInt(2, 4);
+            const perGroup = this.randomInt(1, 5);
+            const emojis = this.getShareEmojis();
+            const emoji = emojis[Math.floor(Math.random() * emojis.length)];
+
+            return {
+                num1: groupCount * perGroup,
+                num2: groupCount,
+                emoji: emoji,
+                operation: 'fair_sharing',
+                answer: perGroup
+            };
+        } else if (level === 2) {
+            // Level 2: Exact division from the times tables (up to 10 × 10)
+            const num2 = this.randomInt(2, 10);
+            const quotient = this.randomInt(1, 10);
+
+            return {
+                num1: num2 * quotient,
+                num2: num2,
+                operation: '÷',
+                answer: quotient
+            };
+        } else if (level === 3) {
+            // Level 3: Division with remainder (quotient first, then remainder)
+            const num2 = this.randomInt(2, 9);
+            const quotient = this.randomInt(1, 9);
+            const remainder = this.randomInt(1, num2 - 1);
+            const num1 = num2 * quotient + remainder;
+            const steps = [
+                { descriptionKey: 'STEP_DESC_QUOTIENT', operation: `${num1} ÷ ${num2}`, answer: quotient },
+                { descriptionKey: 'STEP_DESC_REMAINDER', operation: `${num1} - ${quotient} × ${num2}`, answer: remainder }
+            ];
+
+            return {
+                num1: num1,
+                num2: num2,
+                quotient: quotient,
+                remainder: remainder,
+                operation: 'division_remainder',
+                operationSign: '÷',
+                answer: quotient,
+                currentStep: 1,
+                steps: steps,
+                stepAnswers: steps.map(step => step.answer),
+                hasInfoIcon: false
+            };
+        }
+
+        return {
+            num1: 0,
+            num2: 1,
+            operation: '÷',
+            answer: 0
+        };
+    }
+
+    static getRewardMessages() {
+        return [
+            'DIVISION_REWARD_MESSAGES'
+        ];
+    }
+
+    static getOperationKey() {
+        return 'DIVISION';
+    }
+
+    static randomInt(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+}
@@ -0,0 +1,85 @@
+// Extension: Fraction Levels - Read shaded parts of a pie or bar, compare simple fractions
+class FractionLevels {
+    static getLevels() {
+        return {
+            1: { descriptionKey: 'FRACTION_PIE' },
+            2: { descriptionKey: 'FRACTION_BAR' },
+            3: { descriptionKey: 'COMPARE_FRACTIONS' }
+        };
+    }
+
+    static generateProblem(level) {
+        if (level === 1 || level === 2) {
+            // Levels 1-2: A pie or bar split into equal parts - numerator first, then denominator
+            const denominators = [2, 3, 4, 5, 6, 8];
+            const denominator = denominators[Math.floor(Math.random() * denominators.length)];
+            const numerator = this.randomInt(1, denominator - 1);
+            return this.buildReadingProblem(level === 1 ? 'pie' : 'bar', numerator, denominator);
+        } else if (level === 3) {
+            // Level 3: Compare halves, thirds and quarters with <, > or =
+            const fractions = [[1, 2], [1, 3], [2, 3], [1, 4], [2, 4], [3, 4]];
+            const first = fractions[Math.floor(Math.random() * fractions.length)];
+            let second;
+            do {
+                second = fractions[Math.floor(Math.random() * fractions.length)];
+            } while (second === first);
+
+            return this.buildComparisonProblem(first, second);
+        }
+
+        return this.buildReadingProblem('pie', 1, 2);
+    }
+
+    static buildReadingProblem(picture, numerator, denominator) {
+        const steps = [
+            { descriptionKey: 'STEP_DESC_NUMERATOR', labelKey: 'STEP_NUMERATOR', tooltipKey: 'TOOLTIP_NUMERATOR', answer: numerator },
+            { descriptionKey: 'STEP_DESC_DENOMINATOR', labelKey: 'STEP_DENOMINATOR', tooltipKey: 'TOOLTIP_DENOMINATOR', answer: denominator }
+        ];
+
+        return {
+            picture: picture,
+            numerator: numerator,
+            denominator: denominator,
+            operation: 'fraction_reading',
+            answer: `${numerator}/${denominator}`,
+            currentStep: 1,
+            steps: steps,
+            stepAnswers: steps.map(step => step.answer),
+            hasInfoIcon: false
+        };
+    }
+
+    // Fractions are compared by cross-multiplying (a/b < c/d when a·d < c·b)
+    static buildComparisonProblem([numerator1, denominator1], [numerator2, denominator2]) {
+        const left = numerator1 * denominator2;
+        const right = numerator2 * denominator1;
+        let answer = '=';
+        if (left < right) {
+            answer = '<';
+        } else if (left > right) {
+            answer = '>';
+        }
+
+        return {
+            fraction1: { numerator: numerator1, denominator: denominator1 },
+            fraction2: { numerator: numerator2, denominator: denominator2 },
+            operation: 'fraction_comparison',
+            answer: answer,
+            allowedSymbols: ['<', '>', '=']
+        };
+    }
+
+    static getRewardMessages() {
+        return [
+            'FRACTION_REWARD_MESSAGES'
+        ];
+    }
+
+    static getOperationKey() {
+        return 'FRACTIONS';
+    }
+
+    static randomInt(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+}
@@ -0,0 +1,74 @@
+// Extension: Measurement Levels - Compare lengths and weights, measure with unit blocks
+class MeasurementLevels {
+    static getLevels() {
+        return {
+            1: { descriptionKey: 'COMPARE_LENGTHS' },
+            2: { descriptionKey: 'COMPARE_WEIGHTS' },
+            3: { descriptionKey: 'MEASURE_WITH_BLOCKS' }
+        };
+    }
+
+    // Familiar objects ordered from lightest to heaviest
+    static getWeightedObjects() {
+        return ['🦋', '🐁', '🐥', '🍎', '🐈', '🐕', '🐑', '🐄', '🐘'];
+    }
+
+    static generateProblem(level) {
+        if (level === 1) {
+            // Level 1: Two or three bars - which is the longest/shortest?
+            const lengths = WordProblemLevels.pickDistinct([2, 3, 4, 5, 6, 7, 8, 9, 10], this.randomInt(2, 3));
+            const target = Math.random() < 0.5 ? 'longest' : 'shortest';
+            const chosen = target === 'longest' ? Math.max(...lengths) : Math.min(...lengths);
+
+            return {
+                items: lengths,
+                target: target,
+                operation: 'length_comparison',
+                answer: lengths.indexOf(chosen) + 1
+            };
+        } else if (level === 2) {
+            // Level 2: Two or three objects - which is the heaviest/lightest?
+            const objects = this.getWeightedObjects();
+            const items = WordProblemLevels.pickDistinct(objects, this.randomInt(2, 3));
+            const target = Math.random() < 0.5 ? 'heaviest' : 'lightest';
+            const weights = items.map(item => objects.indexOf(item));
+            const chosen = target === 'heaviest' ? Math.max(...weights) : Math.min(...weights);
+
+            return {
+                items: items,
+                target: target,
+                operation: 'weight_comparison',
+                answer: weights.indexOf(chosen) + 1
+            };
+        } else if (level === 3) {
+            // Level 3: How many unit blocks long is the bar?
+            const length = this.randomInt(2, 10);
+
+            return {
+                length: length,
+                operation: 'unit_measuring',
+                answer: length
+            };
+        }
+
+        return {
+            length: 1,
+            operation: 'unit_measuring',
+            answer: 1
+        };
+    }
+
+    static getRewardMessages() {
+        return [
+            'MEASUREMENT_REWARD_MESSAGES'
+        ];
+    }
+
+    static getOperationKey() {
+        return 'MEASUREMENT';
+    }
+
+    static randomInt(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+}
@@ -0,0 +1,106 @@
+// Extension: Money Levels - Count coins and notes, and work out change (leva and euro)
+class MoneyLevels {
+    static getLevels() {
+        return {
+            1: { descriptionKey: 'MONEY_BGN_STOTINKI' },
+            2: { descriptionKey: 'MONEY_BGN_LEVA' },
+            3: { descriptionKey: 'MONEY_BGN_CHANGE' },
+            4: { descriptionKey: 'MONEY_EUR_CENTS' },
+            5: { descriptionKey: 'MONEY_EUR_EUROS' },
+            6: { descriptionKey: 'MONEY_EUR_CHANGE' }
+        };
+    }
+
+    // Denominations in circulation: minor coins (stotinki/cents), major coins and notes
+    static getCurrencies() {
+        return {
+            'BGN': {
+                minorCoins: [1, 2, 5, 10, 20, 50],
+                majorCoins: [1, 2],
+                notes: [5, 10, 20, 50, 100]
+            },
+            'EUR': {
+                minorCoins: [1, 2, 5, 10, 20, 50],
+                majorCoins: [1, 2],
+                notes: [5, 10, 20, 50, 100, 200, 500]
+            }
+        };
+    }
+
+    static generateProblem(level) {
+        // Levels 1-3 use leva, levels 4-6 the same exercises in euro
+        const currency = level >= 4 ? 'EUR' : 'BGN';
+        const denominations = this.getCurrencies()[currency];
+        const exercise = ((level - 1) % 3) + 1;
+
+        if (exercise === 1) {
+            // Count a handful of stotinki/cents (total under 1 lev/euro)
+            const items = this.pickItems(denominations.minorCoins.map(value => ({ value, unit: 'minor', type: 'coin' })), 99);
+            return this.buildTotalProblem(currency, 'minor', items);
+        } else if (exercise === 2) {
+            // Count whole leva/euro from coins and small notes (total up to 100)
+            const coins = denominations.majorCoins.map(value => ({ value, unit: 'major', type: 'coin' }));
+            const notes = denominations.notes.filter(value => value <= 20).map(value => ({ value, unit: 'major', type: 'note' }));
+            const items = this.pickItems(coins.concat(notes), 100);
+            return this.buildTotalProblem(currency, 'major', items);
+        }
+
+        // Change from a single note for a price in whole leva/euro
+        const notes = denominations.notes.filter(value => value <= 50);
+        const paid = notes[Math.floor(Math.random() * notes.length)];
+        const price = this.randomInt(1, paid - 1);
+
+        return {
+            currency: currency,
+            unit: 'major',
+            items: [{ value: paid, unit: 'major', type: 'note' }],
+            price: price,
+            paid: paid,
+            questionKey: `MONEY_CHANGE_QUESTION_${currency}`,
+            operation: 'money_change',
+            answer: paid - price
+        };
+    }
+
+    // Pick 2-5 coins/notes whose total stays within the limit, largest first like a wallet
+    static pickItems(choices, maxTotal) {
+        const count = this.randomInt(2, 5);
+        const items = [];
+        let total = 0;
+
+        while (items.length < count) {
+            const affordable = choices.filter(choice => total + choice.value <= maxTotal);
+            if (affordable.length === 0) break;
+            const item = affordable[Math.floor(Math.random() * affordable.length)];
+            items.push(item);
+            total += item.value;
+        }
+
+        return items.sort((a, b) => b.value - a.value);
+    }
+
+    static buildTotalProblem(currency, unit, items) {
+        return {
+            currency: currency,
+            unit: unit,
+            items: items,
+            questionKey: `MONEY_TOTAL_QUESTION_${currency}_${unit.toUpperCase()}`,
+            operation: 'money_total',
+            answer: items.reduce((sum, item) => sum + item.value, 0)
+        };
+    }
+
+    static getRewardMessages() {
+        return [
+            'MONEY_REWARD_MESSAGES'
+        ];
+    }
+
+    static getOperationKey() {
+        return 'MONEY';
+    }
+
+    static randomInt(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+}
@@ -0,0 +1,87 @@
+// Extension: Multiplication Levels - From repeated addition to the times tables
+class MultiplicationLevels {
+    static getLevels() {
+        return {
+            1: { descriptionKey: 'REPEATED_ADDITION' },
+            2: { descriptionKey: 'TIMES_TABLE_2' },
+            3: { descriptionKey: 'TIMES_TABLE_5' },
+            4: { descriptionKey: 'TIMES_TABLE_10' },
+            5: { descriptionKey: 'MIXED_TABLES' },
+            6: { descriptionKey: 'PLACE_VALUE_CALCULATION' }
+        };
+    }
+
+    static getGroupEmojis() {
+        return ['🍎', '🍓', '🍌', '🐟', '🐥', '⭐', '🎈', '🌷', '🍪', '⚽'];
+    }
+
+    static generateProblem(level) {
+        if (level === 1) {
+            // Level 1: Repeated addition shown as equal groups of emoji
+            const groupCount = this.randomInt(2, 5);
+            const groupSize = this.randomInt(1, 5);
+            const emojis = this.getGroupEmojis();
+            const emoji = emojis[Math.floor(Math.random() * emojis.length)];
+
+            return {
+                num1: groupCount,
+                num2: groupSize,
+                groupCount: groupCount,
+                groupSize: groupSize,
+                emoji: emoji,
+                operation: 'repeated_addition',
+                answer: groupCount * groupSize
+            };
+        } else if (level === 2 || level === 3 || level === 4) {
+            // Levels 2-4: Single times table (×2, ×5, ×10)
+            const tables = { 2: 2, 3: 5, 4: 10 };
+            const num1 = this.randomInt(1, 10);
+            const num2 = tables[level];
+
+            return {
+                num1: num1,
+                num2: num2,
+                operation: '×',
+                answer: num1 * num2
+            };
+        } else if (level === 5) {
+            // Level 5: Mixed times tables up to 10 × 10
+            const num1 = this.randomInt(1, 10);
+            const num2 = this.randomInt(1, 10);
+
+            return {
+                num1: num1,
+                num2: num2,
+                operation: '×',
+                answer: num1 * num2
+            };
+        } else if (level === 6) {
+            // Level 6: Place Value Calculation (two-digit × one-digit, step-by-step)
+            const num1 = this.randomInt(12, 49);
+            const num2 = this.randomInt(2, 9);
+
+            return ColumnCalculation.createProblem(num1, num2, '×');
+        }
+
+        return {
+            num1: 0,
+            num2: 0,
+            operation: '×',
+            answer: 0
+        };
+    }
+
+    static getRewardMessages() {
+        return [
+            'MULTIPLICATION_REWARD_MESSAGES'
+        ];
+    }
+
+    static getOperationKey() {
+        return 'MULTIPLICATION';
+    }
+
+    static randomInt(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+}
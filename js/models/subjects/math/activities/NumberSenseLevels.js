@@ -0,0 +1,83 @@
+// Extension: Number Sense Levels - Number neighbours (before, after, between) and even/odd
+class NumberSenseLevels {
+    static getLevels() {
+        return {
+            1: { descriptionKey: 'BEFORE_AFTER_TO_10' },
+            2: { descriptionKey: 'BEFORE_AFTER_TO_100' },
+            3: { descriptionKey: 'BETWEEN_TO_20' },
+            4: { descriptionKey: 'EVEN_ODD_PAIRS' },
+            5: { descriptionKey: 'EVEN_ODD_TO_100' }
+        };
+    }
+
+    static getPairEmojis() {
+        return ['🧦', '👟', '🧤', '🍒', '👀', '🐟', '🍎', '⭐', '🎈', '🐥'];
+    }
+
+    static generateProblem(level) {
+        if (level === 1) {
+            // Level 1: The number before or after N, up to 10
+            return this.buildNeighbourProblem(1, 9);
+        } else if (level === 2) {
+            // Level 2: The number before or after N, up to 100
+            return this.buildNeighbourProblem(1, 99);
+        } else if (level === 3) {
+            // Level 3: The number between A and A + 2, up to 20
+            const num1 = this.randomInt(0, 18);
+
+            return {
+                num1: num1,
+                num2: num1 + 2,
+                relation: 'between',
+                operation: 'number_neighbour',
+                answer: num1 + 1
+            };
+        } else if (level === 4) {
+            // Level 4: Even or odd, shown as pairs of objects (up to 10)
+            const emojis = this.getPairEmojis();
+            const emoji = emojis[Math.floor(Math.random() * emojis.length)];
+            return this.buildEvenOddProblem(this.randomInt(1, 10), emoji);
+        } else if (level === 5) {
+            // Level 5: Even or odd for numbers up to 100
+            return this.buildEvenOddProblem(this.randomInt(1, 100));
+        }
+
+        return this.buildNeighbourProblem(1, 9);
+    }
+
+    static buildNeighbourProblem(min, max) {
+        const num1 = this.randomInt(min, max);
+        const relation = Math.random() < 0.5 ? 'before' : 'after';
+
+        return {
+            num1: num1,
+            relation: relation,
+            operation: 'number_neighbour',
+            answer: relation === 'before' ? num1 - 1 : num1 + 1
+        };
+    }
+
+    // Even/odd is answered with the remainder when halving: 0 = even, 1 = odd
+    static buildEvenOddProblem(num1, emoji = null) {
+        return {
+            num1: num1,
+            emoji: emoji,
+            operation: 'even_odd',
+            answer: num1 % 2
+        };
+    }
+
+    static getRewardMessages() {
+        return [
+            'NUMBER_SENSE_REWARD_MESSAGES'
+        ];
+    }
+
+    static getOperationKey() {
+        return 'NUMBER_SENSE';
+    }
+
+    static randomInt(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+}
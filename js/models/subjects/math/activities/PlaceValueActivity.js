@@ -26,38 +26,7 @@ class PlaceValueActivity {
             const num1 = this.randomInt(10, 49);
             const num2 = this.randomInt(10, 49);
             
-            const ones1 = num1 % 10;
-            const tens1 = Math.floor(num1 / 10);
-            const ones2 = num2 % 10;
-            const tens2 = Math.floor(num2 / 10);
-            
-            const onesSum = ones1 + ones2;
-            const tensSum = tens1 + tens2;
-            
-            // Handle carry-over from ones to tens
-            const onesFinal = onesSum % 10;
-            const carryOver = Math.floor(onesSum / 10);
-            const tensFinal = tensSum + carryOver;
-            const finalAnswer = tensFinal * 10 + onesFinal;
-            
-            return {
-                num1: num1,
-                num2: num2,
-                ones1: ones1,
-                tens1: tens1,
-                ones2: ones2,
-                tens2: tens2,
-                onesSum: onesSum,
-                onesFinal: onesFinal,
-                carryOver: carryOver,
-                tensSum: tensSum,
-                tensFinal: tensFinal,
-                operation: 'place_value_calculation',
-                answer: finalAnswer,
-                currentStep: 1, // Track which step we're on (1=ones, 2=carry, 3=tens, 4=combine)
-                stepAnswers: [onesSum, carryOver, tensSum + carryOver, finalAnswer],
-                hasInfoIcon: false // Will be set to true on steps with tooltips
-            };
+            return ColumnCalculation.createProblem(num1, num2, '+');
         }
     }
     
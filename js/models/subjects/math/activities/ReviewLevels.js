@@ -0,0 +1,70 @@
+// Extension: Review Levels - Mixes problems from the levels already played in the other operations
+// Unlike the other extensions it is an instance, built from the played levels of the current child
+class ReviewLevels {
+    constructor(operationManager, playedLevels) {
+        this.operationManager = operationManager;
+        this.pool = this.buildPool(playedLevels || {});
+        this.currentEntry = null;
+    }
+
+    // One { operation, level, extension } entry for each played level that still exists
+    buildPool(playedLevels) {
+        const pool = [];
+        Object.keys(playedLevels).forEach(operation => {
+            const extension = this.operationManager.getOperationExtension(operation);
+            if (!extension || this.operationManager.isCompositeOperation(operation)) {
+                return;
+            }
+
+            const levels = extension.getLevels();
+            playedLevels[operation]
+                .filter(level => levels[level])
+                .forEach(level => pool.push({ operation, level, extension }));
+        });
+
+        // Nothing played yet - review the first addition and subtraction levels
+        if (pool.length === 0) {
+            pool.push({ operation: 'addition', level: 1, extension: AdditionLevels });
+            pool.push({ operation: 'subtraction', level: 1, extension: SubtractionLevels });
+        }
+
+        return pool;
+    }
+
+    // A single level, so selecting review starts practice straight away
+    getLevels() {
+        return {
+            1: { descriptionKey: 'REVIEW_PLAYED_LEVELS' }
+        };
+    }
+
+    // Interleaved: the next problem comes from another operation whenever the pool has one
+    generateProblem(level, localization) {
+        let candidates = this.pool;
+        if (this.currentEntry) {
+            const others = this.pool.filter(entry => entry.operation !== this.currentEntry.operation);
+            if (others.length > 0) {
+                candidates = others;
+            }
+        }
+
+        this.currentEntry = candidates[Math.floor(Math.random() * candidates.length)];
+        const problem = this.currentEntry.extension.generateProblem(this.currentEntry.level, localization);
+
+        // Tag the problem so the model can keep results per operation
+        problem.reviewOperation = this.currentEntry.operation;
+        problem.reviewIcon = this.operationManager.getOperationIcon(this.currentEntry.operation);
+        return problem;
+    }
+
+    // Praise in the words of the operation the last problem came from
+    getRewardMessages() {
+        return this.currentEntry
+            ? this.currentEntry.extension.getRewardMessages()
+            : ['REWARD_MESSAGES'];
+    }
+
+    getOperationKey() {
+        return 'REVIEW';
+    }
+}
@@ -0,0 +1,80 @@
+// Extension: Sequence Levels - Find the missing number in a counting pattern
+class SequenceLevels {
+    static getLevels() {
+        return {
+            1: { descriptionKey: 'SEQUENCE_STEP_1' },
+            2: { descriptionKey: 'SKIP_COUNT_2' },
+            3: { descriptionKey: 'SKIP_COUNT_5' },
+            4: { descriptionKey: 'SKIP_COUNT_10' },
+            5: { descriptionKey: 'SEQUENCE_MIXED_STEPS' }
+        };
+    }
+
+    static generateProblem(level) {
+        if (level === 1) {
+            // Level 1: Count forwards or backwards by 1 up to 20
+            return this.buildProblem(1, 20, false);
+        } else if (level === 2) {
+            // Level 2: Skip count by 2 up to 50
+            return this.buildProblem(2, 50, true);
+        } else if (level === 3) {
+            // Level 3: Skip count by 5 up to 100
+            return this.buildProblem(5, 100, true);
+        } else if (level === 4) {
+            // Level 4: Skip count by 10 up to 100
+            return this.buildProblem(10, 100, true);
+        } else if (level === 5) {
+            // Level 5: Mixed steps from any starting number up to 100
+            const steps = [2, 3, 4, 5, 10];
+            const step = steps[Math.floor(Math.random() * steps.length)];
+            return this.buildProblem(step, 100, false);
+        }
+
+        return this.buildProblem(1, 10, false);
+    }
+
+    // Build a sequence of five numbers within 0..max, ascending or descending, with one hidden.
+    // Skip counting starts on a multiple of the step (2, 4, 6... rather than 3, 5, 7...).
+    static buildProblem(step, max, alignToStep) {
+        const length = 5;
+        const span = step * (length - 1);
+        let start = this.randomInt(0, max - span);
+        if (alignToStep) {
+            start -= start % step;
+        }
+
+        const sequence = [];
+        for (let i = 0; i < length; i++) {
+            sequence.push(start + i * step);
+        }
+
+        const descending = Math.random() < 0.5;
+        if (descending) {
+            sequence.reverse();
+        }
+
+        const missingIndex = this.randomInt(1, length - 1);
+
+        return {
+            sequence: sequence,
+            missingIndex: missingIndex,
+            step: descending ? -step : step,
+            operation: 'number_sequence',
+            answer: sequence[missingIndex]
+        };
+    }
+
+    static getRewardMessages() {
+        return [
+            'SEQUENCE_REWARD_MESSAGES'
+        ];
+    }
+
+    static getOperationKey() {
+        return 'SEQUENCES';
+    }
+
+    static randomInt(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+}
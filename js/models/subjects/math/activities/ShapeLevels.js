@@ -0,0 +1,94 @@
+// Extension: Shape Levels - Recognize shapes by their sides and corners, count shapes in a picture
+class ShapeLevels {
+    static getLevels() {
+        return {
+            1: { descriptionKey: 'SHAPE_SIDES' },
+            2: { descriptionKey: 'SHAPE_CORNERS' },
+            3: { descriptionKey: 'COUNT_SHAPES_IN_PICTURE' }
+        };
+    }
+
+    // Shapes the view can draw, with their number of sides (a circle has none)
+    static getShapes() {
+        return {
+            'circle': { nameKey: 'SHAPE_CIRCLE', sides: 0 },
+            'triangle': { nameKey: 'SHAPE_TRIANGLE', sides: 3 },
+            'square': { nameKey: 'SHAPE_SQUARE', sides: 4 },
+            'rectangle': { nameKey: 'SHAPE_RECTANGLE', sides: 4 },
+            'pentagon': { nameKey: 'SHAPE_PENTAGON', sides: 5 },
+            'hexagon': { nameKey: 'SHAPE_HEXAGON', sides: 6 }
+        };
+    }
+
+    static generateProblem(level) {
+        const shapes = this.getShapes();
+        const shapeNames = Object.keys(shapes);
+
+        if (level === 1 || level === 2) {
+            // Levels 1-2: One shape - count its sides or its corners
+            const shape = shapeNames[Math.floor(Math.random() * shapeNames.length)];
+
+            return {
+                shape: shape,
+                nameKey: shapes[shape].nameKey,
+                question: level === 1 ? 'sides' : 'corners',
+                operation: 'shape_properties',
+                answer: shapes[shape].sides
+            };
+        } else if (level === 3) {
+            // Level 3: A picture of mixed shapes - count the triangles (or squares, or circles)
+            const targets = ['triangle', 'square', 'circle'];
+            const target = targets[Math.floor(Math.random() * targets.length)];
+            const others = shapeNames.filter(shape => shape !== target);
+            const targetCount = this.randomInt(1, 5);
+            const total = targetCount + this.randomInt(2, 5);
+
+            const picture = [];
+            for (let i = 0; i < total; i++) {
+                picture.push(i < targetCount ? target : others[Math.floor(Math.random() * others.length)]);
+            }
+
+            // Shuffle the shapes so the targets are not always placed first
+            for (let i = picture.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [picture[i], picture[j]] = [picture[j], picture[i]];
+            }
+
+            const positions = CountingLevels.generateScatterPositions(total);
+
+            return {
+                target: target,
+                shapes: picture.map((shape, index) => ({
+                    shape: shape,
+                    x: positions[index].x,
+                    y: positions[index].y,
+                    rotation: this.randomInt(0, 3) * 15
+                })),
+                operation: 'shape_counting',
+                answer: targetCount
+            };
+        }
+
+        return {
+            shape: 'triangle',
+            nameKey: shapes.triangle.nameKey,
+            question: 'sides',
+            operation: 'shape_properties',
+            answer: 3
+        };
+    }
+
+    static getRewardMessages() {
+        return [
+            'SHAPE_REWARD_MESSAGES'
+        ];
+    }
+
+    static getOperationKey() {
+        return 'SHAPES';
+    }
+
+    static randomInt(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+}
@@ -2,10 +2,16 @@
 class SubtractionLevels {
     static getLevels() {
         return {
-            1: { descriptionKey: 'SINGLE_DIGITS' },
+            // numberLine: 'always' shows the number line after a wrong answer,
+            // 'optional' only when a parent has turned it on (key 0 on the level screen)
+            1: { descriptionKey: 'SINGLE_DIGITS', numberLine: 'optional' },
             2: { descriptionKey: 'PLACE_VALUE_RECOGNITION' },
-            3: { descriptionKey: 'UP_TO_20' },
-            4: { descriptionKey: 'PLACE_VALUE_CALCULATION' }
+            3: { descriptionKey: 'UP_TO_20', numberLine: 'optional' },
+            4: { descriptionKey: 'PLACE_VALUE_CALCULATION' },
+            5: { descriptionKey: 'MISSING_NUMBER_TO_10', numberLine: 'always' },
+            6: { descriptionKey: 'MISSING_NUMBER_TO_20', numberLine: 'always' },
+            7: { descriptionKey: 'THREE_DIGIT_COLUMN_CALCULATION' },
+            8: { descriptionKey: 'FOUR_DIGIT_COLUMN_CALCULATION' }
         };
     }
     
@@ -52,45 +58,30 @@ class SubtractionLevels {
             num1 = this.randomInt(20, 99);
             num2 = this.randomInt(10, num1);
             
-            const ones1 = num1 % 10;
-            const tens1 = Math.floor(num1 / 10);
-            const ones2 = num2 % 10;
-            const tens2 = Math.floor(num2 / 10);
-            
-            // Handle borrowing for subtraction
-            let onesFinal, tensFinal, borrow;
-            
-            if (ones1 >= ones2) {
-                // No borrowing needed
-                onesFinal = ones1 - ones2;
-                borrow = 0;
-                tensFinal = tens1 - tens2;
-            } else {
-                // Borrowing needed
-                onesFinal = (ones1 + 10) - ones2;
-                borrow = 1;
-                tensFinal = tens1 - tens2 - borrow;
-            }
-            
-            const finalAnswer = tensFinal * 10 + onesFinal;
-            
+            return ColumnCalculation.createProblem(num1, num2, '-');
+        } else if (level === 5 || level === 6) {
+            // Levels 5-6: Missing minuend or subtrahend (? - 4 = 5, 9 - ? = 5), up to 10 or 20
+            const maxNumber = level === 5 ? 10 : 20;
+            const num1 = this.randomInt(1, maxNumber);
+            const num2 = this.randomInt(0, num1);
+            const unknownSlot = Math.random() < 0.5 ? 'num1' : 'num2';
+
             return {
                 num1: num1,
                 num2: num2,
-                ones1: ones1,
-                tens1: tens1,
-                ones2: ones2,
-                tens2: tens2,
-                onesFinal: onesFinal,
-                borrow: borrow,
-                tensFinal: tensFinal,
-                operation: 'place_value_calculation',
-                operationSign: '-',
-                answer: finalAnswer,
-                currentStep: 1,
-                stepAnswers: [onesFinal, borrow, tensFinal, finalAnswer],
-                hasInfoIcon: false
+                result: num1 - num2,
+                operation: '-',
+                unknownSlot: unknownSlot,
+                answer: unknownSlot === 'num1' ? num1 : num2
             };
+        } else if (level === 7 || level === 8) {
+            // Levels 7-8: Column subtraction with three or four digits (step-by-step)
+            const min = level === 7 ? 100 : 1000;
+            const max = level === 7 ? 999 : 9999;
+            const num1 = this.randomInt(min, max);
+            const num2 = this.randomInt(min, num1);
+
+            return ColumnCalculation.createProblem(num1, num2, '-');
         }
         
         return {
@@ -0,0 +1,80 @@
+// Extension: Word Problem Levels - Short stories built from localized templates
+class WordProblemLevels {
+    static getLevels() {
+        return {
+            1: { descriptionKey: 'WORD_PROBLEMS_ADD_TO_10' },
+            2: { descriptionKey: 'WORD_PROBLEMS_SUBTRACT_TO_10' },
+            3: { descriptionKey: 'WORD_PROBLEMS_MIXED_TO_20' }
+        };
+    }
+
+    // Names, objects and templates come from the localization so the same stories work in every language
+    static generateProblem(level, localization) {
+        let kind = 'add';
+        let max = 10;
+        if (level === 2) {
+            kind = 'subtract';
+        } else if (level === 3) {
+            kind = Math.random() < 0.5 ? 'add' : 'subtract';
+            max = 20;
+        }
+
+        let num1, num2, answer;
+        if (kind === 'add') {
+            num1 = this.randomInt(1, max - 1);
+            num2 = this.randomInt(1, max - num1);
+            answer = num1 + num2;
+        } else {
+            num1 = this.randomInt(2, max);
+            num2 = this.randomInt(1, num1 - 1);
+            answer = num1 - num2;
+        }
+
+        const names = this.pickDistinct(localization.tArray('WORD_PROBLEM_NAMES'), 2);
+        const object = this.pickOne(localization.tArray('WORD_PROBLEM_OBJECTS'));
+        const template = this.pickOne(localization.tArray(`WORD_PROBLEM_TEMPLATES_${kind.toUpperCase()}`));
+
+        return {
+            text: localization.format(template, {
+                name1: names[0],
+                name2: names[1],
+                count1: localization.formatCount(num1, object),
+                count2: localization.formatCount(num2, object),
+                objects: object.many
+            }),
+            emoji: object.emoji,
+            kind: kind,
+            num1: num1,
+            num2: num2,
+            operation: 'word_problem',
+            answer: answer
+        };
+    }
+
+    static pickOne(items) {
+        return items[Math.floor(Math.random() * items.length)];
+    }
+
+    static pickDistinct(items, count) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled.slice(0, count);
+    }
+
+    static getRewardMessages() {
+        return [
+            'WORD_PROBLEM_REWARD_MESSAGES'
+        ];
+    }
+
+    static getOperationKey() {
+        return 'WORD_PROBLEMS';
+    }
+
+    static randomInt(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+}
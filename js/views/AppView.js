@@ -16,10 +16,13 @@ class AppView {
             terminalInput: document.getElementById('terminal-input'),
             scoreDisplay: document.getElementById('score-display'),
             problemsDisplay: document.getElementById('problems-display'),
+            reviewResults: document.getElementById('review-results'),
+            stumbledWords: document.getElementById('stumbled-words'),
             terminalMessage: document.getElementById('terminal-message'),
             subjectList: document.querySelector('.subject-list'),
             operationList: document.querySelector('.operation-list'),
             levelList: document.querySelector('.level-list'),
+            levelOptions: document.getElementById('level-options'),
             userInfo: document.getElementById('user-info'),
             userDisplay: document.getElementById('user-display'),
             logoutButton: document.getElementById('logout-button'),
@@ -30,6 +33,7 @@ class AppView {
             feedbackEmoji: document.getElementById('feedback-emoji'),
             feedbackBadge: document.getElementById('feedback-badge'),
             feedbackFooter: document.getElementById('feedback-footer'),
+            feedbackNumberLine: document.getElementById('feedback-number-line'),
             backgroundVideo: document.getElementById('background-video')
         };
 
@@ -120,27 +124,306 @@ class AppView {
             // Bulgarian Language activity - just show the letter/syllable/word
             this.showStandardDisplay();
             this.elements.problemDisplay.textContent = problem.display;
+        } else if (problem.operation === 'read_sentences') {
+            // Sentences and stories - the current page, with the sentence being read numbered word by word
+            this.showStandardDisplay();
+            this.elements.problemDisplay.innerHTML = this.renderSentencePage(problem);
+        } else if (problem.operation === 'emoji_first_letter') {
+            // First letter typing - only the picture, the child types the letter
+            this.showStandardDisplay();
+            this.elements.problemDisplay.innerHTML = `<div class="emoji-letter-container"><div class="emoji-letter-display">${problem.display}</div></div><div class="place-value-question">${this.localization.t('TYPE_FIRST_LETTER_QUESTION')}</div>`;
+            this.elements.terminalInput.type = 'text';
+        } else if (problem.operation === 'letter_case_matching') {
+            // Letter case matching - a lowercase letter and numbered uppercase candidates
+            this.showStandardDisplay();
+            const optionsHTML = problem.options
+                .map((option, index) => `<span class="letter-option">${index + 1}. ${option}</span>`)
+                .join('');
+            this.elements.problemDisplay.innerHTML = `<div class="letter-match-target">${problem.display}</div><div class="letter-options">${optionsHTML}</div><div class="place-value-question">${this.localization.t('MATCH_LETTER_CASE_QUESTION')}</div>`;
+            this.elements.terminalInput.type = 'text';
+        } else if (problem.operation === 'missing_letter') {
+            // Missing letter - the picture, its word with a gap and numbered letters
+            this.showStandardDisplay();
+            const optionsHTML = problem.options
+                .map((letter, index) => `<span class="letter-option">${index + 1}. ${letter}</span>`)
+                .join('');
+            this.elements.problemDisplay.innerHTML = `<div class="emoji-letter-container"><div class="emoji-letter-display">${problem.display}</div><div class="missing-letter-word">${problem.maskedWord}</div></div><div class="letter-options">${optionsHTML}</div><div class="place-value-question">${this.localization.t('MISSING_LETTER_QUESTION')}</div>`;
+            this.elements.terminalInput.type = 'text';
+        } else if (problem.operation === 'syllable_ordering') {
+            // Build a word - the picture and its shuffled, numbered syllables
+            this.showStandardDisplay();
+            const optionsHTML = problem.options
+                .map((syllable, index) => `<span class="letter-option">${index + 1}. ${syllable}</span>`)
+                .join('');
+            this.elements.problemDisplay.innerHTML = `<div class="emoji-letter-container"><div class="emoji-letter-display">${problem.display}</div></div><div class="letter-options">${optionsHTML}</div><div class="place-value-question">${this.localization.t('BUILD_WORD_QUESTION')}</div>`;
+            this.elements.terminalInput.type = 'text';
         } else if (problem.operation === 'place_value_recognition') {
             // Place Value Level 1 - Recognize ones or tens
             this.showStandardDisplay();
             const questionText = problem.questionType === 'ones'
                 ? this.localization.t('WHICH_DIGIT_ONES')
                 : this.localization.t('WHICH_DIGIT_TENS');
-            this.elements.problemDisplay.innerHTML = `<div class="place-value-number">${problem.display}</div><div class="place-value-question">${questionText}</div>`;
+            const blocks = this.renderBaseTenBlocks(Math.floor(problem.num1 / 10), problem.num1 % 10);
+            this.elements.problemDisplay.innerHTML = `<div class="place-value-number">${problem.display}</div><div class="base-ten-blocks">${blocks}</div><div class="place-value-question">${questionText}</div>`;
             this.elements.terminalInput.type = 'number';
         } else if (problem.operation === 'place_value_calculation') {
             // Place Value Level 2 - Step-by-step calculation with history
             this.displayPlaceValueStep(problem);
             this.elements.terminalInput.type = 'number';
+        } else if (problem.operation === 'repeated_addition') {
+            // Multiplication Level 1 - Equal groups of emoji as repeated addition
+            this.showStandardDisplay();
+            const group = problem.emoji.repeat(problem.groupSize);
+            const groupsHTML = Array(problem.groupCount).fill(`<span class="emoji-group">${group}</span>`).join('');
+            const sum = Array(problem.groupCount).fill(problem.groupSize).join(' + ');
+            this.elements.problemDisplay.innerHTML = `<div class="emoji-groups">${groupsHTML}</div><div class="emoji-groups-question">${sum} = ?</div>`;
+            this.elements.terminalInput.type = 'number';
+        } else if (problem.operation === 'fair_sharing') {
+            // Division Level 1 - Share a pile of emoji equally between groups
+            this.showStandardDisplay();
+            const pile = problem.emoji.repeat(problem.num1);
+            const groups = '🧒'.repeat(problem.num2);
+            const questionText = this.localization.t('FAIR_SHARING_QUESTION');
+            this.elements.problemDisplay.innerHTML = `<div class="emoji-groups"><span class="emoji-group">${pile}</span></div><div class="share-groups">${groups}</div><div class="place-value-question">${questionText}</div><div class="emoji-groups-question">${problem.num1} ÷ ${problem.num2} = ?</div>`;
+            this.elements.terminalInput.type = 'number';
+        } else if (problem.operation === 'division_remainder') {
+            // Division Level 3 - Quotient first, then remainder
+            this.displayPlaceValueStep(problem);
+            this.elements.terminalInput.type = 'number';
+        } else if (problem.operation === 'make_ten') {
+            // Addition Level 9 - Make ten: fill up to 10, split the rest, add
+            this.displayPlaceValueStep(problem);
+            this.elements.terminalInput.type = 'number';
+        } else if (problem.operation === 'fraction_reading') {
+            // Fractions - Shaded parts of a pie or bar, numerator first, then denominator
+            this.displayPlaceValueStep(problem);
+            this.elements.terminalInput.type = 'number';
+        } else if (problem.operation === 'fraction_comparison') {
+            // Fractions - Two pies with their fractions and a slot for <, > or =
+            this.showStandardDisplay();
+            const side = fraction => `<span class="fraction-side">${this.renderFractionPicture('pie', fraction.denominator, fraction.numerator)}<span>${fraction.numerator}/${fraction.denominator}</span></span>`;
+            const questionText = this.localization.t('COMPARISON_QUESTION');
+            this.elements.problemDisplay.innerHTML = `<div class="comparison-container">${side(problem.fraction1)}<span class="comparison-slot">?</span>${side(problem.fraction2)}</div><div class="place-value-question">${questionText}</div>`;
+            // Symbols cannot be typed into a number field
+            this.elements.terminalInput.type = 'text';
+        } else if (problem.operation === 'clock_reading') {
+            // Clock - Analog clock face, hour first, then minutes
+            this.displayPlaceValueStep(problem);
+            this.elements.terminalInput.type = 'number';
+        } else if (problem.operation === 'money_total' || problem.operation === 'money_change') {
+            // Money - Coins and notes to add up, or the note paid for a price
+            this.showStandardDisplay();
+            const itemsHTML = problem.items.map(item => this.renderMoneyItem(item, problem.currency)).join('');
+            const questionText = this.localization.t(problem.questionKey);
+            let priceHTML = '';
+            if (problem.operation === 'money_change') {
+                const price = this.formatMoney(problem.price, 'major', problem.currency);
+                priceHTML = `<div class="money-price">${this.localization.t('MONEY_PRICE')}: ${price} • ${this.localization.t('MONEY_PAID')}:</div>`;
+            }
+            this.elements.problemDisplay.innerHTML = `${priceHTML}<div class="money-items">${itemsHTML}</div><div class="place-value-question">${questionText}</div>`;
+            this.elements.terminalInput.type = 'number';
+        } else if (problem.operation === 'number_sequence') {
+            // Sequences - A counting pattern with one number hidden
+            this.showStandardDisplay();
+            const numbers = problem.sequence.map((number, index) => index === problem.missingIndex ? '?' : number);
+            const questionText = this.localization.t('SEQUENCE_QUESTION');
+            this.elements.problemDisplay.innerHTML = `<div class="sequence-row">${numbers.join(', ')}</div><div class="place-value-question">${questionText}</div>`;
+            this.elements.terminalInput.type = 'number';
+        } else if (problem.operation === 'number_neighbour') {
+            // Number neighbours - The number before, after or between
+            this.showStandardDisplay();
+            const rows = {
+                before: `?, ${problem.num1}`,
+                after: `${problem.num1}, ?`,
+                between: `${problem.num1}, ?, ${problem.num2}`
+            };
+            const questionKeys = {
+                before: 'NUMBER_BEFORE_QUESTION',
+                after: 'NUMBER_AFTER_QUESTION',
+                between: 'NUMBER_BETWEEN_QUESTION'
+            };
+            const questionText = this.localization.t(questionKeys[problem.relation]);
+            this.elements.problemDisplay.innerHTML = `<div class="sequence-row">${rows[problem.relation]}</div><div class="place-value-question">${questionText}</div>`;
+            this.elements.terminalInput.type = 'number';
+        } else if (problem.operation === 'even_odd') {
+            // Even/odd - Objects grouped in pairs at low levels, otherwise just the number
+            this.showStandardDisplay();
+            let numberHTML = `<div class="place-value-number">${problem.num1}</div>`;
+            if (problem.emoji) {
+                let pairsHTML = '';
+                for (let count = 0; count < problem.num1; count += 2) {
+                    pairsHTML += `<span class="emoji-group">${problem.emoji.repeat(Math.min(2, problem.num1 - count))}</span>`;
+                }
+                numberHTML = `<div class="emoji-groups">${pairsHTML}</div>`;
+            }
+            const questionText = this.localization.t('EVEN_ODD_QUESTION');
+            const keysText = this.localization.t('EVEN_ODD_KEYS');
+            this.elements.problemDisplay.innerHTML = `${numberHTML}<div class="place-value-question">${questionText}</div><div class="place-value-question">${keysText}</div>`;
+            this.elements.terminalInput.type = 'number';
+        } else if (problem.operation === 'shape_properties') {
+            // Shapes - One large shape with its name, count sides or corners
+            this.showStandardDisplay();
+            const questionKey = problem.question === 'sides' ? 'SHAPE_SIDES_QUESTION' : 'SHAPE_CORNERS_QUESTION';
+            const shapeSVG = `<svg class="shape-single" viewBox="0 0 100 100" role="img">${this.renderShape(problem.shape, 50, 50, 40)}</svg>`;
+            this.elements.problemDisplay.innerHTML = `${shapeSVG}<div class="shape-name">${this.localization.t(problem.nameKey)}</div><div class="place-value-question">${this.localization.t(questionKey)}</div>`;
+            this.elements.terminalInput.type = 'number';
+        } else if (problem.operation === 'shape_counting') {
+            // Shapes - A picture of mixed shapes, count one kind
+            this.showStandardDisplay();
+            const shapesSVG = problem.shapes
+                .map(item => this.renderShape(item.shape, item.x * 1.5, item.y, 9, item.rotation))
+                .join('');
+            const questionText = this.localization.t(`SHAPE_COUNT_QUESTION_${problem.target.toUpperCase()}`);
+            this.elements.problemDisplay.innerHTML = `<svg class="shape-picture" viewBox="-10 -10 170 120" role="img">${shapesSVG}</svg><div class="place-value-question">${questionText}</div>`;
+            this.elements.terminalInput.type = 'number';
+        } else if (problem.operation === 'word_problem') {
+            // Word problems - The story with its objects; taken-away objects are faded out
+            this.showStandardDisplay();
+            let pictureHTML;
+            if (problem.kind === 'subtract') {
+                const kept = problem.emoji.repeat(problem.num1 - problem.num2);
+                const taken = problem.emoji.repeat(problem.num2);
+                pictureHTML = `<span class="emoji-group">${kept}<span class="emoji-taken">${taken}</span></span>`;
+            } else {
+                pictureHTML = `<span class="emoji-group">${problem.emoji.repeat(problem.num1)}</span><span class="emoji-group">${problem.emoji.repeat(problem.num2)}</span>`;
+            }
+            this.elements.problemDisplay.innerHTML = `<div class="word-problem-text">${problem.text}</div><div class="emoji-groups">${pictureHTML}</div>`;
+            this.elements.terminalInput.type = 'number';
+        } else if (problem.operation === 'length_comparison') {
+            // Measurement - Numbered bars, pick the longest or shortest
+            this.showStandardDisplay();
+            const barsHTML = problem.items
+                .map((length, index) => `<div class="measure-row"><span class="measure-label">${index + 1}</span><span class="measure-bar" style="width: ${length * 2.5}rem;"></span></div>`)
+                .join('');
+            const questionText = this.localization.t(problem.target === 'longest' ? 'MEASURE_LONGEST_QUESTION' : 'MEASURE_SHORTEST_QUESTION');
+            this.elements.problemDisplay.innerHTML = `<div class="measure-bars">${barsHTML}</div><div class="place-value-question">${questionText}</div>`;
+            this.elements.terminalInput.type = 'number';
+        } else if (problem.operation === 'weight_comparison') {
+            // Measurement - Numbered objects, pick the heaviest or lightest
+            this.showStandardDisplay();
+            const objectsHTML = problem.items
+                .map((emoji, index) => `<span class="measure-object"><span class="measure-emoji">${emoji}</span><span class="measure-label">${index + 1}</span></span>`)
+                .join('');
+            const questionText = this.localization.t(problem.target === 'heaviest' ? 'MEASURE_HEAVIEST_QUESTION' : 'MEASURE_LIGHTEST_QUESTION');
+            this.elements.problemDisplay.innerHTML = `<div class="measure-objects">${objectsHTML}</div><div class="place-value-question">${questionText}</div>`;
+            this.elements.terminalInput.type = 'number';
+        } else if (problem.operation === 'unit_measuring') {
+            // Measurement - A bar with unit blocks laid out underneath
+            this.showStandardDisplay();
+            const blocksHTML = '<span class="measure-block"></span>'.repeat(problem.length);
+            const questionText = this.localization.t('MEASURE_BLOCKS_QUESTION');
+            this.elements.problemDisplay.innerHTML = `<div class="measure-ruler"><span class="measure-bar" style="width: ${problem.length * 2.5}rem;"></span><div class="measure-blocks">${blocksHTML}</div></div><div class="place-value-question">${questionText}</div>`;
+            this.elements.terminalInput.type = 'number';
+        } else if (problem.operation === 'calendar') {
+            // Calendar - A question about days, months or seasons, with the numbered names at low levels
+            this.showStandardDisplay();
+            let optionsHTML = '';
+            if (problem.options) {
+                const items = problem.options
+                    .map((name, index) => `<span class="calendar-option">${index + 1}. ${name}</span>`)
+                    .join('');
+                optionsHTML = `<div class="calendar-options">${items}</div>`;
+            }
+            this.elements.problemDisplay.innerHTML = `<div class="word-problem-text">${problem.question}</div>${optionsHTML}<div class="place-value-question">${this.localization.t('CALENDAR_ANSWER_HINT')}</div>`;
+            this.elements.terminalInput.type = 'number';
+        } else if (problem.operation === 'emoji_counting') {
+            // Counting - Repeated emoji in rows, ten-frames or scattered
+            this.showStandardDisplay();
+            const questionText = this.localization.t('COUNTING_QUESTION');
+            this.elements.problemDisplay.innerHTML = `${this.renderCountingObjects(problem)}<div class="place-value-question">${questionText}</div>`;
+            this.elements.terminalInput.type = 'number';
+        } else if (problem.operation === 'comparison') {
+            // Comparison - Two numbers (or emoji groups) and a slot for <, > or =
+            this.showStandardDisplay();
+            const left = problem.emoji ? `<span class="emoji-group">${problem.emoji.repeat(problem.num1)}</span>` : problem.num1;
+            const right = problem.emoji ? `<span class="emoji-group">${problem.emoji.repeat(problem.num2)}</span>` : problem.num2;
+            const questionText = this.localization.t('COMPARISON_QUESTION');
+            this.elements.problemDisplay.innerHTML = `<div class="comparison-container">${left}<span class="comparison-slot">?</span>${right}</div><div class="place-value-question">${questionText}</div>`;
+            // Symbols cannot be typed into a number field
+            this.elements.terminalInput.type = 'text';
         } else {
-            // Standard math problem
+            // Standard math problem - the unknown may be an operand (3 + ? = 7) or the result
             this.showStandardDisplay();
+            const unknownSlot = problem.unknownSlot || 'result';
+            const num1 = unknownSlot === 'num1' ? '?' : problem.num1;
+            const num2 = unknownSlot === 'num2' ? '?' : problem.num2;
+            const result = unknownSlot === 'result' ? '?' : problem.result;
             this.elements.problemDisplay.textContent =
-                `${problem.num1} ${problem.operation} ${problem.num2} = ?`;
+                `${num1} ${problem.operation} ${num2} = ${result}`;
             this.elements.terminalInput.type = 'number';
         }
     }
 
+    // Render the current page of a reading: read, current and upcoming sentences, then the page number
+    renderSentencePage(problem) {
+        const page = problem.pages[problem.currentPage];
+        const titleHTML = problem.title ? `<div class="story-title">${problem.title}</div>` : '';
+
+        const sentencesHTML = page.map((words, sentenceIndex) => {
+            if (sentenceIndex !== problem.currentSentence) {
+                const state = sentenceIndex < problem.currentSentence ? 'read' : 'waiting';
+                return `<p class="sentence sentence-${state}">${words.join(' ')}</p>`;
+            }
+            // Numbers under the words let the parent mark where the child stumbled
+            const wordsHTML = words.map((word, index) => {
+                const stumbled = problem.markedWords.includes(index) ? ' stumbled' : '';
+                return `<span class="sentence-word${stumbled}">${word}<sub class="word-number">${index + 1}</sub></span>`;
+            }).join(' ');
+            return `<p class="sentence sentence-current">${wordsHTML}</p>`;
+        }).join('');
+
+        const pageNumberHTML = problem.pages.length > 1
+            ? `<div class="story-page-number">${this.localization.t('PAGE')} ${problem.currentPage + 1}/${problem.pages.length}</div>`
+            : '';
+
+        return `${titleHTML}<div class="sentence-page">${sentencesHTML}</div>${pageNumberHTML}<div class="place-value-question">${this.localization.t('SENTENCES_HINT')}</div>`;
+    }
+
+    // Render the emoji of a counting problem in its arrangement
+    renderCountingObjects(problem) {
+        const emoji = problem.display;
+
+        if (problem.arrangement === 'ten_frame') {
+            const frameCount = Math.max(1, Math.ceil(problem.count / 10));
+            let framesHTML = '';
+            for (let frame = 0; frame < frameCount; frame++) {
+                let cellsHTML = '';
+                for (let cell = 0; cell < 10; cell++) {
+                    const filled = frame * 10 + cell < problem.count;
+                    cellsHTML += `<span class="ten-frame-cell">${filled ? emoji : ''}</span>`;
+                }
+                framesHTML += `<div class="ten-frame">${cellsHTML}</div>`;
+            }
+            return `<div class="ten-frames">${framesHTML}</div>`;
+        }
+
+        if (problem.arrangement === 'scattered') {
+            const itemsHTML = problem.positions
+                .map(position => `<span class="counting-item" style="left: ${position.x}%; top: ${position.y}%;">${emoji}</span>`)
+                .join('');
+            return `<div class="counting-scatter">${itemsHTML}</div>`;
+        }
+
+        // Rows of five
+        let rowsHTML = '';
+        for (let start = 0; start < problem.count; start += 5) {
+            rowsHTML += `<div class="counting-row">${emoji.repeat(Math.min(5, problem.count - start))}</div>`;
+        }
+        return `<div class="counting-rows">${rowsHTML}</div>`;
+    }
+
+    // Render one coin (round) or note (rectangle) with its value
+    renderMoneyItem(item, currency) {
+        const className = item.type === 'note' ? 'money-note' : 'money-coin';
+        return `<span class="${className}">${this.formatMoney(item.value, item.unit, currency)}</span>`;
+    }
+
+    // Amount with its currency sign, e.g. "50 ст.", "2 лв.", "20 ц.", "5 €"
+    formatMoney(value, unit, currency) {
+        const unitKey = `CURRENCY_${currency}_${unit.toUpperCase()}`;
+        return `${value} ${this.localization.t(unitKey)}`;
+    }
+
     // Show standard single-column display
     showStandardDisplay() {
         this.elements.standardDisplay.style.display = 'flex';
@@ -155,77 +438,42 @@ class AppView {
         this.elements.calculationContainer.style.display = 'flex';
     }
 
-    // Display Place Value step-by-step calculation
+    // Display a step-by-step calculation from the step list generated by the extension
     displayPlaceValueStep(problem) {
         this.showMultiStepDisplay();
 
         const step = problem.currentStep || 1;
-        const isAddition = problem.operationSign === '+';
-        const opSign = problem.operationSign || '+';
 
         // Build calculation history with descriptive steps
         let historyHTML = '';
 
         // Main task - always visible and prominent
-        historyHTML += `<div class="main-task">${problem.num1} ${opSign} ${problem.num2} = ?</div>`;
-
-        // Step 1: Calculate ones
-        if (step >= 1) {
-            const status = step > 1 ? 'completed' : '';
-            const stepDesc = this.localization.t(isAddition ? 'STEP_DESC_ONES' : 'STEP_DESC_ONES_SUB');
-            const operation = `${problem.ones1} ${opSign} ${problem.ones2}`;
-            let answer = '';
-            if (step > 1) {
-                if (isAddition) {
-                    answer = ` = ${problem.onesSum}`;
-                } else {
-                    answer = ` = ${problem.onesFinal}`;
-                }
-            }
-            historyHTML += `<div class="history-step ${status}"><span class="step-number">1️⃣</span><span class="step-content">${stepDesc}: ${operation}${answer}</span></div>`;
+        historyHTML += `<div class="main-task">${this.renderMainTask(problem)}</div>`;
+
+        // Base-ten blocks follow the steps of two-digit addition/subtraction
+        const blocksHTML = this.renderPlaceValueBlocks(problem, step);
+        if (blocksHTML) {
+            historyHTML += `<div class="base-ten-blocks">${blocksHTML}</div>`;
         }
 
-        // Step 2: Determine carry/borrow
-        if (step >= 2) {
-            const status = step > 2 ? 'completed' : '';
-            const stepDesc = this.localization.t(isAddition ? 'STEP_DESC_CARRY' : 'STEP_DESC_BORROW');
-            let answer = '';
-            if (step > 2) {
-                if (isAddition) {
-                    answer = `: ${problem.carryOver}`;
-                } else {
-                    answer = `: ${problem.borrow}`;
-                }
-            }
-            const tooltip = ' <span class="tooltip-icon"><i>i</i></span>';
-            historyHTML += `<div class="history-step ${status}"><span class="step-number">2️⃣</span><span class="step-content">${stepDesc}${answer}${tooltip}</span></div>`;
-        }
-
-        // Step 3: Calculate tens
-        if (step >= 3) {
-            const status = step > 3 ? 'completed' : '';
-            const stepDesc = this.localization.t(isAddition ? 'STEP_DESC_TENS' : 'STEP_DESC_TENS_SUB');
-            let operation, answer = '';
-            if (isAddition) {
-                const carryText = problem.carryOver > 0 ? ` + ${problem.carryOver}` : '';
-                operation = `${problem.tens1} + ${problem.tens2}${carryText}`;
-                answer = step > 3 ? ` = ${problem.tensFinal}` : '';
+        problem.steps.forEach((stepData, index) => {
+            const stepNumber = index + 1;
+            if (step < stepNumber) return;
+
+            const isCompleted = step > stepNumber;
+            const status = isCompleted ? 'completed' : '';
+            const stepDesc = this.localization.t(stepData.descriptionKey);
+            let content;
+            if (stepData.operation) {
+                const answer = isCompleted ? ` = ${stepData.answer}` : '';
+                content = `${stepDesc}: ${stepData.operation}${answer}`;
             } else {
-                const borrowText = problem.borrow > 0 ? ` - ${problem.borrow}` : '';
-                operation = `${problem.tens1} - ${problem.tens2}${borrowText}`;
-                answer = step > 3 ? ` = ${problem.tensFinal}` : '';
+                const answer = isCompleted ? `: ${stepData.answer}` : '';
+                content = `${stepDesc}${answer}`;
             }
-            historyHTML += `<div class="history-step ${status}"><span class="step-number">3️⃣</span><span class="step-content">${stepDesc}: ${operation}${answer}</span></div>`;
-        }
-
-        // Step 4: Combine result
-        if (step >= 4) {
-            const status = step > 4 ? 'completed' : '';
-            const stepDesc = this.localization.t(isAddition ? 'STEP_DESC_COMBINE' : 'STEP_DESC_COMBINE_SUB');
-            const operation = `${problem.tensFinal}0 + ${problem.onesFinal}`;
-            const answer = step > 4 ? ` = ${problem.answer}` : '';
-            historyHTML += `<div class="history-step ${status}"><span class="step-number">4️⃣</span><span class="step-content">${stepDesc}: ${operation}${answer}</span></div>`;
-        }
+            const tooltip = stepData.tooltipKey ? ' <span class="tooltip-icon"><i>i</i></span>' : '';
+            historyHTML += `<div class="history-step ${status}"><span class="step-number">${this.getStepNumberEmoji(stepNumber)}</span><span class="step-content">${content}${tooltip}</span></div>`;
+        });
 
         this.elements.calculationHistory.innerHTML = historyHTML;
 
@@ -233,23 +481,17 @@ class AppView {
         let currentStepText = '';
         let hasInfoIcon = false;
 
-        if (step === 1) {
-            currentStepText = `${problem.ones1} ${opSign} ${problem.ones2} = ?`;
-        } else if (step === 2) {
-            hasInfoIcon = true;
-            const infoIcon = ` <span class="tooltip-icon">${this.localization.t('TOOLTIP_ICON')}</span>`;
-            const label = isAddition ? 'Пренос' : 'Заемане';
-            currentStepText = `${label} = ?${infoIcon}`;
-        } else if (step === 3) {
-            if (isAddition) {
-                const carryText = problem.carryOver > 0 ? ` + ${problem.carryOver}` : '';
-                currentStepText = `${problem.tens1} + ${problem.tens2}${carryText} = ?`;
+        const currentStepData = problem.steps[step - 1];
+        if (currentStepData) {
+            if (currentStepData.operation) {
+                currentStepText = `${currentStepData.operation} = ?`;
             } else {
-                const borrowText = problem.borrow > 0 ? ` - ${problem.borrow}` : '';
-                currentStepText = `${problem.tens1} - ${problem.tens2}${borrowText} = ?`;
+                currentStepText = `${this.localization.t(currentStepData.labelKey)} = ?`;
+            }
+            if (currentStepData.tooltipKey) {
+                hasInfoIcon = true;
+                currentStepText += ` <span class="tooltip-icon">${this.localization.t('TOOLTIP_ICON')}</span>`;
             }
-        } else if (step === 4) {
-            currentStepText = `${problem.tensFinal}0 + ${problem.onesFinal} = ?`;
         }
 
         // Update problem's hasInfoIcon flag
@@ -267,6 +509,201 @@ class AppView {
         }
     }
 
+    // Base-ten blocks: one rod per ten and one cube per one. The first `bundle` cubes are boxed
+    // to show ten ones being regrouped; the last `newTens` rods are highlighted as just regrouped.
+    renderBaseTenBlocks(tens, ones, options = {}) {
+        const { bundle = 0, newTens = 0 } = options;
+
+        let rodsHTML = '';
+        for (let rod = 0; rod < tens; rod++) {
+            const isNew = rod >= tens - newTens;
+            rodsHTML += `<span class="ten-rod${isNew ? ' new' : ''}"></span>`;
+        }
+
+        const cube = '<span class="unit-cube"></span>';
+        const bundleHTML = bundle > 0 ? `<span class="regroup-bundle">${cube.repeat(bundle)}</span>` : '';
+        const cubesHTML = bundleHTML + cube.repeat(ones - bundle);
+
+        return `<div class="base-ten-group"><span class="ten-rods">${rodsHTML}</span><span class="unit-cubes">${cubesHTML}</span></div>`;
+    }
+
+    // Blocks for the current step of a two-digit addition or subtraction ('' for other problems)
+    renderPlaceValueBlocks(problem, step) {
+        const isTwoDigit = problem.operation === 'place_value_calculation' && problem.steps.length === 4;
+        if (!isTwoDigit || (problem.operationSign !== '+' && problem.operationSign !== '-')) {
+            return '';
+        }
+
+        const tens1 = Math.floor(problem.num1 / 10);
+        const ones1 = problem.num1 % 10;
+        const tens2 = Math.floor(problem.num2 / 10);
+        const ones2 = problem.num2 % 10;
+        const regroup = problem.stepAnswers[1];
+        const operand2 = this.renderBaseTenBlocks(tens2, ones2);
+
+        if (problem.operationSign === '+') {
+            if (step === 1) {
+                // Both numbers side by side
+                return `${this.renderBaseTenBlocks(tens1, ones1)}<span class="base-ten-sign">+</span>${operand2}`;
+            } else if (step === 2) {
+                // Ones put together - ten of them are boxed when they make a new ten
+                return this.renderBaseTenBlocks(tens1 + tens2, ones1 + ones2, { bundle: regroup * 10 });
+            }
+            // The boxed ones have become a new rod
+            return this.renderBaseTenBlocks(tens1 + tens2 + regroup, (ones1 + ones2) % 10, { newTens: regroup });
+        }
+
+        if (step <= 2) {
+            // A borrowed ten is shown broken into ten boxed ones
+            const minuend = this.renderBaseTenBlocks(tens1 - regroup, ones1 + regroup * 10, { bundle: regroup * 10 });
+            return `${minuend}<span class="base-ten-sign">-</span>${operand2}`;
+        }
+        return this.renderBaseTenBlocks(Math.floor(problem.answer / 10), problem.answer % 10);
+    }
+
+    // Draw a shape as an SVG element centred at (cx, cy) with radius r.
+    // Regular polygons stand on a flat side; the rectangle is wider than it is tall.
+    renderShape(shape, cx, cy, r, rotation = 0) {
+        const transform = rotation ? ` transform="rotate(${rotation} ${cx} ${cy})"` : '';
+
+        if (shape === 'circle') {
+            return `<circle class="shape" cx="${cx}" cy="${cy}" r="${r}"/>`;
+        }
+        if (shape === 'rectangle') {
+            return `<rect class="shape" x="${cx - r}" y="${cy - r * 0.6}" width="${r * 2}" height="${r * 1.2}"${transform}/>`;
+        }
+
+        const sides = { triangle: 3, square: 4, pentagon: 5, hexagon: 6 }[shape];
+        const points = [];
+        for (let corner = 0; corner < sides; corner++) {
+            const angle = Math.PI / 2 + Math.PI / sides + corner * 2 * Math.PI / sides;
+            points.push(`${(cx + r * Math.cos(angle)).toFixed(1)},${(cy + r * Math.sin(angle)).toFixed(1)}`);
+        }
+        return `<polygon class="shape" points="${points.join(' ')}"${transform}/>`;
+    }
+
+    // Draw a pie or bar split into equal parts with the first `shaded` parts filled
+    renderFractionPicture(picture, parts, shaded) {
+        let partsSVG = '';
+
+        if (picture === 'bar') {
+            const width = 120 / parts;
+            for (let part = 0; part < parts; part++) {
+                const fill = part < shaded ? ' shaded' : '';
+                partsSVG += `<rect class="fraction-part${fill}" x="${(part * width).toFixed(1)}" y="0" width="${width.toFixed(1)}" height="30"/>`;
+            }
+            return `<svg class="fraction-bar" viewBox="-2 -2 124 34" role="img">${partsSVG}</svg>`;
+        }
+
+        // Pie: one sector per part, starting at 12 o'clock and going clockwise
+        const point = angle => `${(50 + 45 * Math.sin(angle)).toFixed(1)} ${(50 - 45 * Math.cos(angle)).toFixed(1)}`;
+        for (let part = 0; part < parts; part++) {
+            const fill = part < shaded ? ' shaded' : '';
+            const from = part * 2 * Math.PI / parts;
+            const to = (part + 1) * 2 * Math.PI / parts;
+            partsSVG += `<path class="fraction-part${fill}" d="M 50 50 L ${point(from)} A 45 45 0 0 1 ${point(to)} Z"/>`;
+        }
+        return `<svg class="fraction-pie" viewBox="0 0 100 100" role="img">${partsSVG}</svg>`;
+    }
+
+    // Draw an analog clock face as inline SVG (100 × 100 units, centred at 50, 50)
+    renderClockFace(hour, minutes) {
+        let marksSVG = '';
+        for (let mark = 0; mark < 60; mark++) {
+            const isHourMark = mark % 5 === 0;
+            const inner = isHourMark ? 40 : 43;
+            marksSVG += `<line class="clock-mark${isHourMark ? ' hour-mark' : ''}" x1="50" y1="${50 - inner}" x2="50" y2="4" transform="rotate(${mark * 6} 50 50)"/>`;
+        }
+
+        let numbersSVG = '';
+        for (let number = 1; number <= 12; number++) {
+            const angle = number * Math.PI / 6;
+            const x = (50 + 32 * Math.sin(angle)).toFixed(1);
+            const y = (50 - 32 * Math.cos(angle)).toFixed(1);
+            numbersSVG += `<text class="clock-number" x="${x}" y="${y}">${number}</text>`;
+        }
+
+        // The hour hand moves between the numbers as the minutes pass
+        const hourAngle = (hour % 12) * 30 + minutes / 2;
+        const minuteAngle = minutes * 6;
+
+        return `<svg class="clock-face" viewBox="0 0 100 100" role="img">` +
+            `<circle class="clock-rim" cx="50" cy="50" r="46"/>` +
+            marksSVG + numbersSVG +
+            `<line class="clock-hand hour-hand" x1="50" y1="50" x2="50" y2="26" transform="rotate(${hourAngle} 50 50)"/>` +
+            `<line class="clock-hand minute-hand" x1="50" y1="50" x2="50" y2="12" transform="rotate(${minuteAngle} 50 50)"/>` +
+            `<circle class="clock-center" cx="50" cy="50" r="2.5"/>` +
+            `</svg>`;
+    }
+
+    // Draw a number line with one animated hop per unit from num1 towards the answer
+    renderNumberLine(problem) {
+        const start = problem.num1;
+        const end = problem.operation === '-' ? problem.num1 - problem.num2 : problem.num1 + problem.num2;
+        const first = Math.floor(Math.min(start, end) / 10) * 10;
+        const last = Math.max(first + 10, Math.ceil(Math.max(start, end) / 10) * 10);
+
+        const spacing = 30;
+        const margin = 15;
+        const baseline = 50;
+        const xOf = value => margin + (value - first) * spacing;
+        const width = xOf(last) + margin;
+
+        let ticksSVG = '';
+        for (let value = first; value <= last; value++) {
+            const highlight = value === start || value === end ? ' highlight' : '';
+            ticksSVG += `<line class="number-line-tick" x1="${xOf(value)}" y1="${baseline - 5}" x2="${xOf(value)}" y2="${baseline + 5}"/>`;
+            ticksSVG += `<text class="number-line-label${highlight}" x="${xOf(value)}" y="${baseline + 20}">${value}</text>`;
+        }
+
+        let jumpsSVG = '';
+        const direction = end >= start ? 1 : -1;
+        for (let hop = 0; hop < Math.abs(end - start); hop++) {
+            const x1 = xOf(start + hop * direction);
+            const x2 = xOf(start + (hop + 1) * direction);
+            jumpsSVG += `<path class="number-line-jump" d="M ${x1} ${baseline} Q ${(x1 + x2) / 2} ${baseline - 30} ${x2} ${baseline}" style="animation-delay: ${hop * 0.4}s"/>`;
+        }
+
+        return `<svg class="number-line" viewBox="0 0 ${width} 80" role="img">` +
+            `<line class="number-line-axis" x1="${margin / 2}" y1="${baseline}" x2="${width - margin / 2}" y2="${baseline}"/>` +
+            ticksSVG + jumpsSVG +
+            `</svg>`;
+    }
+
+    // Show the parent's number line setting on the level screen (null hides it)
+    renderNumberLineToggle(enabled) {
+        if (!this.elements.levelOptions) return;
+
+        if (enabled === null) {
+            this.elements.levelOptions.style.display = 'none';
+            return;
+        }
+
+        const state = this.localization.t(enabled ? 'SETTING_ON' : 'SETTING_OFF');
+        this.elements.levelOptions.textContent = `0 = ${this.localization.t('NUMBER_LINE_SETTING')}: ${state}`;
+        this.elements.levelOptions.style.display = 'block';
+    }
+
+    // The task shown above the steps - a picture to read, or the calculation being worked out
+    renderMainTask(problem) {
+        if (problem.operation === 'clock_reading') {
+            return this.renderClockFace(problem.hour, problem.minutes);
+        } else if (problem.operation === 'fraction_reading') {
+            return this.renderFractionPicture(problem.picture, problem.denominator, problem.numerator);
+        }
+
+        const opSign = problem.operationSign || '+';
+        return `${problem.num1} ${opSign} ${problem.num2} = ?`;
+    }
+
+    // Keycap emoji for step numbers (1️⃣ ... 🔟)
+    getStepNumberEmoji(stepNumber) {
+        if (stepNumber < 10) {
+            return `${stepNumber}\uFE0F\u20E3`;
+        }
+        return stepNumber === 10 ? '🔟' : `${stepNumber}.`;
+    }
+
     // Update game instructions dynamically
     updateGameInstructions(instructionKey) {
         const gameInstructions = document.querySelector('#game-screen .instructions');
@@ -279,6 +716,22 @@ class AppView {
     updateGameStatus(gameState) {
         this.elements.scoreDisplay.textContent = `${this.localization.t('SCORE')}: ${gameState.score}`;
         this.elements.problemsDisplay.textContent = `${this.localization.t('PROBLEMS')}: ${gameState.problemsSolved}`;
+
+        // Review mode: correct out of attempted for each mixed-in operation, e.g. "+ 3/4  - 2/2"
+        if (this.elements.reviewResults) {
+            const results = Object.values(gameState.operationResults || {});
+            this.elements.reviewResults.textContent = results
+                .map(result => `${result.icon} ${result.correct}/${result.correct + result.wrong}`)
+                .join('  ');
+            this.elements.reviewResults.style.display = results.length > 0 ? '' : 'none';
+        }
+
+        // Sentences: the words the child stumbled on this session
+        if (this.elements.stumbledWords) {
+            const words = Object.keys(gameState.stumbledWords || {});
+            this.elements.stumbledWords.textContent = `${this.localization.t('STUMBLED_WORDS')}: ${words.join(', ')}`;
+            this.elements.stumbledWords.style.display = words.length > 0 ? '' : 'none';
+        }
     }
 
     // Show tooltip dialog
@@ -387,6 +840,11 @@ class AppView {
         return this.elements.terminalInput.value;
     }
 
+    // Set the input value (e.g. a Cyrillic letter typed through the phonetic layout)
+    setUserInput(value) {
+        this.elements.terminalInput.value = value;
+    }
+
     // Bind event listeners (delegated to controller)
     bindSubjectSelection(handler) {
         this.elements.subjectList.addEventListener('click', (e) => {
@@ -399,7 +857,9 @@ class AppView {
 
     bindOperationSelection(handler) {
         this.elements.operationList.addEventListener('click', (e) => {
-            if (e.target.classList.contains('operation-item')) {
+            if (e.target.classList.contains('operation-more')) {
+                this.showNextOperationPage();
+            } else if (e.target.classList.contains('operation-item')) {
                 const operation = e.target.dataset.operation;
                 handler(operation);
             }
@@ -440,10 +900,17 @@ class AppView {
     // Bind keyboard selection for operations
     bindOperationKeyboardSelection(handler) {
         const keyHandler = (e) => {
-            // Only handle numeric keys 1-9
+            // 0 turns to the next page when the activities do not fit on one
+            if (e.key === '0' && this.elements.operationList.querySelector('.operation-more')) {
+                e.preventDefault();
+                this.showNextOperationPage();
+                return;
+            }
+
+            // Numeric keys 1-9 select an activity on the current page
             if (e.key >= '1' && e.key <= '9') {
                 const index = parseInt(e.key);
-                const items = this.elements.operationList.querySelectorAll('.operation-item');
+                const items = this.elements.operationList.querySelectorAll('.operation-item:not(.operation-more)');
                 if (index > 0 && index <= items.length) {
                     e.preventDefault();
                     const selectedItem = items[index - 1];
@@ -480,6 +947,19 @@ class AppView {
         this._levelKeyHandler = keyHandler;
     }
 
+    // Bind the 0 key on the level screen to toggle the number line setting
+    bindNumberLineToggle(handler) {
+        const keyHandler = (e) => {
+            if (e.key === '0') {
+                e.preventDefault();
+                handler();
+            }
+        };
+
+        document.addEventListener('keydown', keyHandler);
+        this._numberLineKeyHandler = keyHandler;
+    }
+
     // Unbind keyboard selection handlers to prevent conflicts
     unbindKeyboardSelections() {
         if (this._subjectKeyHandler) {
@@ -494,6 +974,10 @@ class AppView {
             document.removeEventListener('keydown', this._levelKeyHandler);
             this._levelKeyHandler = null;
         }
+        if (this._numberLineKeyHandler) {
+            document.removeEventListener('keydown', this._numberLineKeyHandler);
+            this._numberLineKeyHandler = null;
+        }
     }
 
     // Unbind input event handlers to prevent conflicts
@@ -599,23 +1083,48 @@ class AppView {
         });
     }
 
-    // Render operation list
+    // Render operation list, starting from the first page
     renderOperationList(operations, localization) {
+        this._operations = operations;
+        this._operationLocalization = localization;
+        this.renderOperationPage(0);
+    }
+
+    // Render one page of up to 9 operations, so each can be picked with a single number key
+    renderOperationPage(page) {
         if (!this.elements.operationList) return;
 
+        const operationsPerPage = 9;
+        const operationNames = Object.keys(this._operations);
+        this._operationPage = page;
+        this._operationPageCount = Math.ceil(operationNames.length / operationsPerPage);
+
         this.elements.operationList.innerHTML = '';
         let index = 1;
-        Object.keys(operations).forEach(operationName => {
-            const operation = operations[operationName];
+        operationNames.slice(page * operationsPerPage, (page + 1) * operationsPerPage).forEach(operationName => {
+            const operation = this._operations[operationName];
             const listItem = document.createElement('li');
             listItem.className = 'operation-item';
             listItem.dataset.operation = operationName;
             listItem.dataset.index = index;
-            const displayName = localization.t(operation.key);
+            const displayName = this._operationLocalization.t(operation.key);
             listItem.textContent = `${index}. ${operation.icon} ${displayName}`;
             this.elements.operationList.appendChild(listItem);
             index++;
         });
+
+        // 0 leads to the next page, and from the last page back to the first
+        if (this._operationPageCount > 1) {
+            const moreItem = document.createElement('li');
+            moreItem.className = 'operation-item operation-more';
+            moreItem.dataset.index = 0;
+            moreItem.textContent = `0. ➡️ ${this._operationLocalization.t('MORE_ACTIVITIES')}`;
+            this.elements.operationList.appendChild(moreItem);
+        }
+    }
+
+    showNextOperationPage() {
+        this.renderOperationPage((this._operationPage + 1) % this._operationPageCount);
     }
 
     // Render level list (for theme-independent structure)
@@ -876,7 +1385,8 @@ class AppView {
             badgeName = '',
             badgeEmoji = '',
             footer = '',
-            header = ''
+            header = '',
+            numberLine = null
         } = options;
 
         this.elements.feedbackHeader.textContent = header
@@ -900,6 +1410,11 @@ class AppView {
 
         this.elements.feedbackFooter.textContent = footer;
 
+        // Optional number line explaining an addition/subtraction answer
+        if (this.elements.feedbackNumberLine) {
+            this.elements.feedbackNumberLine.innerHTML = numberLine ? this.renderNumberLine(numberLine) : '';
+        }
+
         this.elements.feedbackModal.classList.add('show');
         this.messageVisible = true;
     }
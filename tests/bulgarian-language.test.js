@@ -94,6 +94,119 @@ describe('Bulgarian Language - Letters Activity', () => {
     });
 });
 
+describe('Bulgarian Language - Letter Case', () => {
+    let localization;
+    let model;
+
+    const allLetters = ['А', 'Б', 'В', 'Г', 'Д', 'Е', 'Ж', 'З', 'И', 'Й', 'К', 'Л', 'М', 'Н', 'О', 'П', 'Р', 'С', 'Т', 'У', 'Ф', 'Х', 'Ц', 'Ч', 'Ш', 'Щ', 'Ъ', 'Ю', 'Я'];
+    const lowercaseLetters = allLetters.map(letter => letter.toLowerCase());
+
+    beforeEach(() => {
+        localization = new LocalizationModel('bg');
+        model = new BulgarianLanguageModel(localization, LettersActivity);
+    });
+
+    test('Letters Level 5 (lowercase) generates lowercase letters to read', () => {
+        model.setLevel(5, 'letters');
+
+        for (let i = 0; i < 50; i++) {
+            const problem = model.generateProblem();
+            expect(problem.operation).toBe('read');
+            expect(lowercaseLetters).toContain(problem.display);
+        }
+    });
+
+    test('Letters Level 6 (mixed case) generates both cases', () => {
+        model.setLevel(6, 'letters');
+
+        const displays = [];
+        for (let i = 0; i < 100; i++) {
+            const problem = model.generateProblem();
+            expect([...allLetters, ...lowercaseLetters]).toContain(problem.display);
+            displays.push(problem.display);
+        }
+        expect(displays.some(letter => allLetters.includes(letter))).toBe(true);
+        expect(displays.some(letter => lowercaseLetters.includes(letter))).toBe(true);
+    });
+
+    test('Letters Level 7 (matching) numbers four distinct uppercase candidates', () => {
+        model.setLevel(7, 'letters');
+
+        for (let i = 0; i < 50; i++) {
+            const problem = model.generateProblem();
+
+            expect(problem.operation).toBe('letter_case_matching');
+            expect(problem.selfChecked).toBe(true);
+            expect(problem.options.length).toBe(4);
+            expect(new Set(problem.options).size).toBe(4);
+            problem.options.forEach(option => expect(allLetters).toContain(option));
+
+            expect(problem.answer).toBeGreaterThanOrEqual(1);
+            expect(problem.answer).toBeLessThanOrEqual(4);
+            expect(problem.options[problem.answer - 1].toLowerCase()).toBe(problem.display);
+            expect(problem.allowedSymbols).toEqual(['1', '2', '3', '4']);
+        }
+    });
+
+    test('Matching is checked against the child\'s answer, not the parent\'s Enter', () => {
+        model.setLevel(7, 'letters');
+        const problem = model.generateProblem();
+        const wrong = problem.answer === 1 ? 2 : 1;
+
+        expect(model.checkAnswer(String(problem.answer))).toBe(true);
+        expect(model.checkAnswer(String(wrong))).toBe(false);
+        expect(model.checkAnswer('')).toBe(false);
+    });
+});
+
+describe('Bulgarian Language - Typing the First Letter', () => {
+    let localization;
+    let model;
+
+    beforeEach(() => {
+        localization = new LocalizationModel('bg');
+        model = new BulgarianLanguageModel(localization, LettersActivity);
+        model.setLevel(8, 'letters');
+    });
+
+    test('Letters Level 8 shows a picture that belongs to one letter only', () => {
+        const emojiMap = LettersActivity.getLetterEmojiMap();
+
+        for (let i = 0; i < 50; i++) {
+            const problem = model.generateProblem();
+
+            expect(problem.operation).toBe('emoji_first_letter');
+            expect(problem.selfChecked).toBe(true);
+            expect(problem.letterInput).toBe(true);
+            expect(problem.answer).toBe(problem.letter);
+
+            const owners = Object.keys(emojiMap).filter(letter => emojiMap[letter].includes(problem.display));
+            expect(owners).toEqual([problem.letter]);
+        }
+    });
+
+    test('checkAnswer compares the typed letter in either case', () => {
+        const problem = model.generateProblem();
+        const otherLetter = problem.letter === 'А' ? 'Б' : 'А';
+
+        expect(model.checkAnswer(problem.letter)).toBe(true);
+        expect(model.checkAnswer(problem.letter.toLowerCase())).toBe(true);
+        expect(model.checkAnswer(otherLetter)).toBe(false);
+        expect(model.checkAnswer('')).toBe(false);
+    });
+
+    test('getTypedLetter accepts Cyrillic keys and maps Latin keys phonetically', () => {
+        expect(model.getTypedLetter('б')).toBe('Б');
+        expect(model.getTypedLetter('Ж')).toBe('Ж');
+        expect(model.getTypedLetter('w')).toBe('В');
+        expect(model.getTypedLetter('V')).toBe('Ж');
+        expect(model.getTypedLetter('`')).toBe('Ч');
+        expect(model.getTypedLetter('q')).toBe('Я');
+        expect(model.getTypedLetter('5')).toBeNull();
+        expect(model.getTypedLetter('Enter')).toBeNull();
+    });
+});
+
 describe('Bulgarian Language - Syllables Activity', () => {
     let localization;
     let activityManager;
@@ -179,6 +292,7 @@ describe('Bulgarian Language - Words Activity', () => {
 
             // Verify word is not empty and has reasonable length
             expect(problem.display.length).toBeGreaterThan(0);
+            expect(problem.display.split('-').length).toBe(2);
         }
     });
 
@@ -191,6 +305,19 @@ describe('Bulgarian Language - Words Activity', () => {
             // Verify word is valid
             expect(problem.display.length).toBeGreaterThan(0);
             expect(problem.operation).toBe('read');
+            expect(problem.display.split('-').length).toBe(3);
+        }
+    });
+
+    test('Word list is plain and split by the syllabifier', () => {
+        WordsActivity.getWords().forEach(word => {
+            expect(word).not.toContain('-');
+        });
+
+        model.setLevel(3, 'words');
+        for (let i = 0; i < 30; i++) {
+            const problem = model.generateProblem();
+            expect(problem.display).toBe(Syllabifier.hyphenate(problem.display.replace(/-/g, '')));
         }
     });
 
@@ -207,6 +334,159 @@ describe('Bulgarian Language - Words Activity', () => {
     });
 });
 
+describe('Bulgarian Language - Build Word Activity', () => {
+    let localization;
+    let model;
+
+    beforeEach(() => {
+        localization = new LocalizationModel('bg');
+        const activityManager = new BulgarianActivityManager();
+        model = new BulgarianLanguageModel(localization, activityManager.getOperationExtension('build_word'));
+    });
+
+    test('Every pictured word is in the word list', () => {
+        const words = WordsActivity.getWords();
+        Object.keys(WordsActivity.getWordPictures()).forEach(word => {
+            expect(words).toContain(word);
+        });
+    });
+
+    test('Build Word levels shuffle the syllables of a pictured word', () => {
+        [[1, 2], [2, 3]].forEach(([level, syllableCount]) => {
+            model.setLevel(level, 'build_word');
+
+            for (let i = 0; i < 30; i++) {
+                const problem = model.generateProblem();
+                const syllables = Syllabifier.split(problem.word);
+
+                expect(problem.operation).toBe('syllable_ordering');
+                expect(problem.selfChecked).toBe(true);
+                expect(problem.display).toBe(WordsActivity.getWordPictures()[problem.word]);
+                expect(syllables.length).toBe(syllableCount);
+                expect([...problem.options].sort()).toEqual([...syllables].sort());
+                expect(problem.options.join('')).not.toBe(problem.word);
+            }
+        });
+    });
+
+    test('The answer lists the syllable numbers in reading order', () => {
+        const problem = BuildWordActivity.buildProblem('ЯГОДА', '🍓', ['Я', 'ГО', 'ДА']);
+        const built = [...problem.answer].map(number => problem.options[parseInt(number) - 1]).join('');
+
+        expect(built).toBe('ЯГОДА');
+        expect(problem.allowedSymbols).toEqual(['1', '2', '3']);
+
+        model.setLevel(1, 'build_word');
+        model.currentProblem = problem;
+        expect(model.checkAnswer(problem.answer)).toBe(true);
+        expect(model.checkAnswer('123')).toBe(false);
+    });
+});
+
+describe('Bulgarian Language - Missing Letter Activity', () => {
+    let localization;
+    let model;
+
+    beforeEach(() => {
+        localization = new LocalizationModel('bg');
+        const activityManager = new BulgarianActivityManager();
+        model = new BulgarianLanguageModel(localization, activityManager.getOperationExtension('missing_letter'));
+    });
+
+    test('Every picture has a word starting with its letter', () => {
+        const wordMap = LettersActivity.getLetterWordMap();
+        Object.keys(wordMap).forEach(letter => {
+            Object.values(wordMap[letter]).forEach(word => {
+                expect(word[0]).toBe(letter);
+            });
+        });
+        expect(Object.keys(LettersActivity.getLetterEmojiMap())).toEqual(Object.keys(wordMap));
+    });
+
+    test('Missing Letter levels hide one letter and number four distinct options', () => {
+        [1, 2].forEach(level => {
+            model.setLevel(level, 'missing_letter');
+
+            for (let i = 0; i < 50; i++) {
+                const problem = model.generateProblem();
+                const position = problem.maskedWord.indexOf('_');
+                const missing = problem.word[position];
+
+                expect(problem.operation).toBe('missing_letter');
+                expect(problem.selfChecked).toBe(true);
+                expect(problem.maskedWord.length).toBe(problem.word.length);
+                if (level === 1) {
+                    expect(position).toBe(0);
+                }
+                expect(problem.maskedWord.replace('_', missing)).toBe(problem.word);
+                expect(new Set(problem.options).size).toBe(4);
+                expect(problem.options[problem.answer - 1]).toBe(missing);
+                expect(model.checkAnswer(String(problem.answer))).toBe(true);
+            }
+        });
+    });
+});
+
+describe('Bulgarian Language - Sentences Activity', () => {
+    let localization;
+    let model;
+
+    beforeEach(() => {
+        localization = new LocalizationModel('bg');
+        const activityManager = new BulgarianActivityManager();
+        model = new BulgarianLanguageModel(localization, activityManager.getOperationExtension('sentences'));
+    });
+
+    test('Sentences Level 1 shows one three-word sentence', () => {
+        model.setLevel(1, 'sentences');
+
+        for (let i = 0; i < 30; i++) {
+            const problem = model.generateProblem();
+            expect(problem.operation).toBe('read_sentences');
+            expect(problem.pages).toHaveLength(1);
+            expect(problem.pages[0]).toHaveLength(1);
+            expect(problem.pages[0][0]).toHaveLength(3);
+        }
+    });
+
+    test('Sentences Level 2 sentences are longer but fit the number keys', () => {
+        SentencesActivity.getLongerSentences().forEach(sentence => {
+            const wordCount = sentence.split(' ').length;
+            expect(wordCount).toBeGreaterThan(3);
+            expect(wordCount).toBeLessThanOrEqual(9);
+        });
+    });
+
+    test('Sentences Level 3 splits a story into pages of two sentences', () => {
+        model.setLevel(3, 'sentences');
+
+        for (let i = 0; i < 20; i++) {
+            const problem = model.generateProblem();
+            const story = SentencesActivity.getStories().find(item => item.title === problem.title);
+
+            expect(story).toBeDefined();
+            expect(problem.pages).toHaveLength(Math.ceil(story.sentences.length / 2));
+            expect(problem.pages.flat().map(words => words.join(' '))).toEqual(story.sentences);
+        }
+    });
+
+    test('Stumbled words are recorded per session without punctuation', () => {
+        model.currentProblem = SentencesActivity.buildProblem(null, ['Мама готви супа.']);
+
+        expect(model.toggleStumbledWord(2)).toBe(true);
+        expect(model.toggleStumbledWord(0)).toBe(true);
+        expect(model.toggleStumbledWord(5)).toBe(false);
+        model.recordStumbledWords();
+
+        expect(model.stumbledWords).toEqual({ 'супа': 1, 'мама': 1 });
+        expect(model.currentProblem.markedWords).toEqual([]);
+        expect(model.nextSentence()).toBe(false);
+
+        model.resetStats();
+        expect(model.getGameState().stumbledWords).toEqual({});
+    });
+});
+
 describe('Bulgarian Language Model - Answer Validation', () => {
     let localization;
     let activityManager;
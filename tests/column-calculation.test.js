@@ -0,0 +1,84 @@
+/**
+ * Test suite for the column calculation engine
+ * Tests that step lists are generated per column for any number of digits
+ */
+
+describe('Column Calculation - Step Generation', () => {
+    test('Two-digit addition keeps the ones/carry/tens/combine steps', () => {
+        const problem = ColumnCalculation.createProblem(27, 35, '+');
+
+        expect(problem.operation).toBe('place_value_calculation');
+        expect(problem.stepAnswers).toEqual([12, 1, 6, 62]);
+        expect(problem.steps.map(step => step.descriptionKey)).toEqual([
+            'STEP_DESC_ONES',
+            'STEP_DESC_CARRY',
+            'STEP_DESC_TENS',
+            'STEP_DESC_COMBINE'
+        ]);
+        expect(problem.steps[2].operation).toBe('2 + 3 + 1');
+        expect(problem.steps[3].operation).toBe('60 + 2');
+        expect(problem.answer).toBe(62);
+    });
+
+    test('Three-digit addition carries through every column', () => {
+        const problem = ColumnCalculation.createProblem(478, 356, '+');
+
+        expect(problem.stepAnswers).toEqual([14, 1, 13, 1, 8, 834]);
+        expect(problem.steps[4].descriptionKey).toBe('STEP_DESC_HUNDREDS');
+        expect(problem.steps[4].operation).toBe('4 + 3 + 1');
+        expect(problem.steps[5].operation).toBe('800 + 30 + 4');
+    });
+
+    test('Four-digit addition keeps the whole value of the last column', () => {
+        const problem = ColumnCalculation.createProblem(9500, 8700, '+');
+
+        expect(problem.steps).toHaveLength(8);
+        expect(problem.steps[6].descriptionKey).toBe('STEP_DESC_THOUSANDS');
+        expect(problem.steps[6].answer).toBe(18);
+        expect(problem.answer).toBe(18200);
+    });
+
+    test('Subtraction borrows across a chain of zeros', () => {
+        const problem = ColumnCalculation.createProblem(1000, 999, '-');
+
+        expect(problem.stepAnswers).toEqual([1, 1, 0, 1, 0, 1, 0, 1]);
+        expect(problem.steps[1].descriptionKey).toBe('STEP_DESC_BORROW');
+        expect(problem.steps[1].tooltipKey).toBe('TOOLTIP_BORROW');
+        expect(problem.steps[2].operation).toBe('0 - 9 - 1');
+        expect(problem.answer).toBe(1);
+    });
+
+    test('Multiplication by one digit carries like addition', () => {
+        const problem = ColumnCalculation.createProblem(23, 7, '×');
+
+        expect(problem.stepAnswers).toEqual([21, 2, 16, 161]);
+        expect(problem.steps[0].descriptionKey).toBe('STEP_DESC_ONES_MUL');
+        expect(problem.steps[2].operation).toBe('2 × 7 + 2');
+    });
+
+    test('Random problems always end with the correct answer', () => {
+        for (let i = 0; i < 200; i++) {
+            const num1 = Math.floor(Math.random() * 9000) + 1000;
+            const num2 = Math.floor(Math.random() * num1);
+
+            expect(ColumnCalculation.createProblem(num1, num2, '+').answer).toBe(num1 + num2);
+            expect(ColumnCalculation.createProblem(num1, num2, '-').answer).toBe(num1 - num2);
+            expect(ColumnCalculation.createProblem(num1, num2 % 10, '×').answer).toBe(num1 * (num2 % 10));
+        }
+    });
+
+    test('Every step description has a translation', () => {
+        const localization = new LocalizationModel('bg');
+        const problems = [
+            ColumnCalculation.createProblem(4321, 1234, '+'),
+            ColumnCalculation.createProblem(4321, 1234, '-'),
+            ColumnCalculation.createProblem(4321, 7, '×')
+        ];
+
+        problems.forEach(problem => {
+            problem.steps.forEach(step => {
+                expect(localization.t(step.descriptionKey)).not.toBe(step.descriptionKey);
+            });
+        });
+    });
+});
@@ -4,6 +4,15 @@
  * Addresses Bug #3: Input conflicts when switching between activities
  */
 
+const fs = require('fs');
+const path = require('path');
+
+// Load AppView and AppController classes
+const appViewCode = fs.readFileSync(path.join(__dirname, '../js/views/AppView.js'), 'utf8');
+const appControllerCode = fs.readFileSync(path.join(__dirname, '../js/controllers/AppController.js'), 'utf8');
+new Function(appViewCode + '\nglobalThis.AppView = AppView;')();
+new Function(appControllerCode + '\nglobalThis.AppController = AppController;')();
+
 describe('Bug Fix - Input Handling Across Activities', () => {
     let localization;
     let operationManager;
@@ -253,3 +262,535 @@ describe('Bug Fix - Bulgarian Language Input Handling', () => {
         expect(typeof bulgarianProblem.answer).not.toBe(typeof mathProblem.answer);
     });
 });
+
+describe('Math Input Filter - Symbol Answers', () => {
+    let controller;
+
+    const pressKey = (key) => {
+        const event = new KeyboardEvent('keydown', { key: key, bubbles: true, cancelable: true });
+        document.getElementById('terminal-input').dispatchEvent(event);
+        return event;
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="login-modal" style="display: none;"></div>
+            <div id="breadcrumb-nav"></div>
+            <div id="user-info"></div>
+            <div id="user-display"></div>
+            <button id="logout-button"></button>
+            <div id="subject-select" class="screen"></div>
+            <div id="operation-select" class="screen"></div>
+            <div id="level-select" class="screen"></div>
+            <div id="game-screen" class="screen"><div class="instructions"></div></div>
+            <div id="problem-display"></div>
+            <div id="problem-display-compact"></div>
+            <div id="calculation-container"></div>
+            <div id="calculation-history"></div>
+            <div id="standard-display"></div>
+            <input type="text" id="terminal-input">
+            <div id="score-display"></div>
+            <div id="problems-display"></div>
+            <div id="terminal-message"></div>
+            <ul class="subject-list"></ul>
+            <ul class="operation-list"></ul>
+            <ul class="level-list"></ul>
+        `;
+
+        const localization = new LocalizationModel('bg');
+        controller = new AppController(localization, new SubjectManager(), new UserStorageModel());
+        controller.currentSubject = 'math';
+        controller.model = new MathModel(localization, ComparisonLevels);
+        controller.bindGameEvents();
+    });
+
+    afterEach(() => {
+        document.removeEventListener('keydown', controller.globalNavigationHandler);
+        document.body.innerHTML = '';
+    });
+
+    test('Comparison problems accept <, > and = but not digits', () => {
+        controller.model.currentProblem = ComparisonLevels.buildProblem(2, 9);
+
+        expect(pressKey('<').defaultPrevented).toBe(false);
+        expect(pressKey('>').defaultPrevented).toBe(false);
+        expect(pressKey('=').defaultPrevented).toBe(false);
+        expect(pressKey('5').defaultPrevented).toBe(true);
+    });
+
+    test('Numeric problems still block comparison symbols', () => {
+        controller.model.currentProblem = AdditionLevels.generateProblem(1);
+
+        expect(pressKey('<').defaultPrevented).toBe(true);
+        expect(pressKey('>').defaultPrevented).toBe(true);
+        expect(pressKey('5').defaultPrevented).toBe(false);
+    });
+});
+
+describe('Math Input Filter - Fraction Steps', () => {
+    let controller;
+    let localization;
+    let errors;
+
+    const recordError = (e) => errors.push(e.error);
+
+    const pressKey = (key) => {
+        const event = new KeyboardEvent('keydown', { key: key, bubbles: true, cancelable: true });
+        document.getElementById('terminal-input').dispatchEvent(event);
+        return event;
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="login-modal" style="display: none;"></div>
+            <div id="breadcrumb-nav"></div>
+            <div id="user-info"></div>
+            <div id="user-display"></div>
+            <button id="logout-button"></button>
+            <div id="subject-select" class="screen"></div>
+            <div id="operation-select" class="screen"></div>
+            <div id="level-select" class="screen"></div>
+            <div id="game-screen" class="screen"><div class="instructions"></div></div>
+            <div id="problem-display"></div>
+            <div id="problem-display-compact"></div>
+            <div id="calculation-container"></div>
+            <div id="calculation-history"></div>
+            <div id="standard-display"></div>
+            <input type="text" id="terminal-input">
+            <div id="score-display"></div>
+            <div id="problems-display"></div>
+            <div id="terminal-message"></div>
+            <ul class="subject-list"></ul>
+            <ul class="operation-list"></ul>
+            <ul class="level-list"></ul>
+            <div id="feedback-modal">
+                <div id="feedback-header"></div>
+                <span id="feedback-emoji"></span>
+                <div id="feedback-badge"></div>
+                <div id="feedback-footer"></div>
+                <div id="feedback-number-line"></div>
+            </div>
+        `;
+
+        errors = [];
+        window.addEventListener('error', recordError);
+
+        localization = new LocalizationModel('bg');
+        controller = new AppController(localization, new SubjectManager(), new UserStorageModel());
+        controller.currentSubject = 'math';
+        controller.model = new MathModel(localization, FractionLevels);
+        controller.model.setLevel(1, 'fractions');
+        controller.bindGameEvents();
+    });
+
+    afterEach(() => {
+        window.removeEventListener('error', recordError);
+        document.removeEventListener('keydown', controller.globalNavigationHandler);
+        document.body.innerHTML = '';
+    });
+
+    test('+ shows the tooltip of the current step', () => {
+        const problem = controller.model.generateProblem();
+        problem.hasInfoIcon = true;
+
+        pressKey('+');
+        expect(document.getElementById('terminal-message').textContent).toBe(localization.t('TOOLTIP_NUMERATOR'));
+        expect(errors).toEqual([]);
+    });
+
+    test('+ after the last step does nothing once the fraction is read', async () => {
+        const problem = controller.model.generateProblem();
+        problem.hasInfoIcon = true;
+        problem.currentStep = 2;
+
+        await controller.checkPlaceValueStep(problem.denominator);
+        expect(problem.currentStep).toBe(3);
+        expect(controller.view.isFeedbackModalVisible()).toBe(true);
+
+        pressKey('+');
+        pressKey('=');
+        expect(errors).toEqual([]);
+        expect(controller.view.isTooltipVisible()).toBe(false);
+    });
+});
+
+describe('Activity Selection - Pages', () => {
+    let controller;
+
+    // Call the operation key handler directly - earlier tests leave subject handlers on the document
+    const pressKey = (key) => {
+        controller.view._operationKeyHandler(new KeyboardEvent('keydown', { key: key, cancelable: true }));
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="login-modal" style="display: none;"></div>
+            <div id="breadcrumb-nav"></div>
+            <div id="user-info"></div>
+            <div id="user-display"></div>
+            <button id="logout-button"></button>
+            <div id="subject-select" class="screen"></div>
+            <div id="operation-select" class="screen"></div>
+            <div id="level-select" class="screen"></div>
+            <div id="game-screen" class="screen"><div class="instructions"></div></div>
+            <input type="text" id="terminal-input">
+            <div id="terminal-message"></div>
+            <ul class="subject-list"></ul>
+            <ul class="operation-list"></ul>
+            <ul class="level-list"></ul>
+        `;
+
+        controller = new AppController(new LocalizationModel('bg'), new SubjectManager(), new UserStorageModel());
+        controller.proceedWithSubjectSelection('math');
+    });
+
+    afterEach(() => {
+        controller.view.unbindKeyboardSelections();
+        document.removeEventListener('keydown', controller.globalNavigationHandler);
+        document.body.innerHTML = '';
+    });
+
+    test('Math activities are shown nine per page with 0 for the next page', () => {
+        const items = document.querySelectorAll('.operation-list .operation-item');
+        expect(items.length).toBe(10);
+        expect(items[9].textContent).toContain('0.');
+        expect(items[9].textContent).toContain('ОЩЕ ДЕЙНОСТИ');
+    });
+
+    test('Activities after the ninth are selected from the keyboard on the next page', () => {
+        const operationNames = Object.keys(controller.activityManager.getAvailableOperations());
+        controller.selectOperation = jest.fn();
+
+        pressKey('0');
+        const firstItem = document.querySelector('.operation-list .operation-item');
+        expect(firstItem.dataset.operation).toBe(operationNames[9]);
+        expect(firstItem.textContent.startsWith('1.')).toBe(true);
+
+        pressKey('1');
+        expect(controller.selectOperation).toHaveBeenCalledWith(operationNames[9]);
+    });
+
+    test('0 on the last page goes back to the first page', () => {
+        const operationNames = Object.keys(controller.activityManager.getAvailableOperations());
+
+        pressKey('0');
+        pressKey('0');
+        const firstItem = document.querySelector('.operation-list .operation-item');
+        expect(firstItem.dataset.operation).toBe(operationNames[0]);
+    });
+});
+
+describe('Bulgarian Input Filter - Self-Checked Answers', () => {
+    let controller;
+
+    // Number keys also select subjects on the document, so the event stays on the input
+    const pressKey = (key) => {
+        const event = new KeyboardEvent('keydown', { key: key, bubbles: false, cancelable: true });
+        document.getElementById('terminal-input').dispatchEvent(event);
+        return event;
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="login-modal" style="display: none;"></div>
+            <div id="breadcrumb-nav"></div>
+            <div id="user-info"></div>
+            <div id="user-display"></div>
+            <button id="logout-button"></button>
+            <div id="subject-select" class="screen"></div>
+            <div id="operation-select" class="screen"></div>
+            <div id="level-select" class="screen"></div>
+            <div id="game-screen" class="screen"><div class="instructions"></div></div>
+            <div id="problem-display"></div>
+            <div id="problem-display-compact"></div>
+            <div id="calculation-container"></div>
+            <div id="calculation-history"></div>
+            <div id="standard-display"></div>
+            <input type="text" id="terminal-input">
+            <div id="score-display"></div>
+            <div id="problems-display"></div>
+            <div id="terminal-message"></div>
+            <ul class="subject-list"></ul>
+            <ul class="operation-list"></ul>
+            <ul class="level-list"></ul>
+            <div id="feedback-modal">
+                <div id="feedback-header"></div>
+                <span id="feedback-emoji"></span>
+                <div id="feedback-badge"></div>
+                <div id="feedback-footer"></div>
+                <div id="feedback-number-line"></div>
+            </div>
+        `;
+
+        const localization = new LocalizationModel('bg');
+        controller = new AppController(localization, new SubjectManager(), new UserStorageModel());
+        controller.currentSubject = 'bulgarian';
+        controller.model = new BulgarianLanguageModel(localization, LettersActivity);
+        controller.bindGameEvents();
+    });
+
+    afterEach(() => {
+        document.removeEventListener('keydown', controller.globalNavigationHandler);
+        document.body.innerHTML = '';
+    });
+
+    test('Letter case matching accepts the option numbers only', () => {
+        controller.model.setLevel(7, 'letters');
+        controller.model.generateProblem();
+
+        expect(pressKey('1').defaultPrevented).toBe(false);
+        expect(pressKey('4').defaultPrevented).toBe(false);
+        expect(pressKey('5').defaultPrevented).toBe(true);
+        expect(pressKey('А').defaultPrevented).toBe(true);
+    });
+
+    test('First letter typing puts the Cyrillic letter in the input', () => {
+        controller.model.setLevel(8, 'letters');
+        controller.model.generateProblem();
+
+        expect(pressKey('b').defaultPrevented).toBe(true);
+        expect(controller.view.getUserInput()).toBe('Б');
+        pressKey('ж');
+        expect(controller.view.getUserInput()).toBe('Ж');
+        expect(pressKey('5').defaultPrevented).toBe(true);
+        expect(controller.view.getUserInput()).toBe('Ж');
+    });
+
+    test('First letter answers are judged through checkAnswer', async () => {
+        controller.model.setLevel(8, 'letters');
+        const problem = controller.model.generateProblem();
+        const wrongLetter = problem.letter === 'А' ? 'Б' : 'А';
+
+        controller.view.setUserInput(problem.letter.toLowerCase());
+        await controller.checkAnswer();
+        expect(document.getElementById('terminal-message').textContent).not.toContain('ГРЕШКА');
+        expect(controller.view.isFeedbackModalVisible()).toBe(true);
+        expect(document.getElementById('feedback-footer').textContent).not.toContain(controller.localization.t('INCORRECT_ANSWER'));
+        expect(controller.model.problemsSolved).toBe(1);
+
+        controller.view.hideFeedbackModal();
+        controller.model.currentProblem = problem;
+        controller.view.setUserInput(wrongLetter);
+        await controller.checkAnswer();
+        expect(controller.view.isFeedbackModalVisible()).toBe(true);
+        expect(document.getElementById('feedback-footer').textContent).toContain(`${controller.localization.t('INCORRECT_ANSWER')} ${problem.letter}`);
+        expect(controller.model.problemsSolved).toBe(1);
+    });
+
+    test('First letter answers must be a single Cyrillic letter', async () => {
+        controller.model.setLevel(8, 'letters');
+        controller.model.generateProblem();
+
+        controller.view.setUserInput('b');
+        await controller.checkAnswer();
+        expect(document.getElementById('terminal-message').textContent).toContain('ГРЕШКА');
+        expect(controller.view.isFeedbackModalVisible()).toBe(false);
+    });
+
+    test('Parent-judged problems still block all typing', () => {
+        controller.model.setLevel(2, 'letters');
+        controller.model.generateProblem();
+
+        expect(pressKey('1').defaultPrevented).toBe(true);
+        expect(pressKey('А').defaultPrevented).toBe(true);
+    });
+});
+
+describe('Number Line Feedback', () => {
+    let controller;
+    let localization;
+
+    beforeEach(() => {
+        localStorage.clear();
+        document.body.innerHTML = `
+            <div id="login-modal" style="display: none;"></div>
+            <div id="breadcrumb-nav"></div>
+            <div id="user-info"></div>
+            <div id="user-display"></div>
+            <button id="logout-button"></button>
+            <div id="subject-select" class="screen"></div>
+            <div id="operation-select" class="screen"></div>
+            <div id="level-select" class="screen"></div>
+            <div id="game-screen" class="screen"><div class="instructions"></div></div>
+            <div id="problem-display"></div>
+            <div id="problem-display-compact"></div>
+            <div id="calculation-container"></div>
+            <div id="calculation-history"></div>
+            <div id="standard-display"></div>
+            <input type="text" id="terminal-input">
+            <div id="score-display"></div>
+            <div id="problems-display"></div>
+            <div id="terminal-message"></div>
+            <ul class="subject-list"></ul>
+            <ul class="operation-list"></ul>
+            <ul class="level-list"></ul>
+            <div id="level-options" style="display: none;"></div>
+            <div id="feedback-modal">
+                <div id="feedback-header"></div>
+                <span id="feedback-emoji"></span>
+                <div id="feedback-badge"></div>
+                <div id="feedback-footer"></div>
+                <div id="feedback-number-line"></div>
+            </div>
+        `;
+
+        localization = new LocalizationModel('bg');
+        controller = new AppController(localization, new SubjectManager(), new UserStorageModel());
+        controller.currentSubject = 'math';
+        controller.model = new MathModel(localization, SubtractionLevels);
+    });
+
+    afterEach(() => {
+        controller.view.unbindKeyboardSelections();
+        document.removeEventListener('keydown', controller.globalNavigationHandler);
+        document.body.innerHTML = '';
+        localStorage.clear();
+    });
+
+    test('Level definitions decide when the number line is shown', () => {
+        controller.model.setLevel(5, 'subtraction');
+        expect(controller.shouldShowNumberLine()).toBe(true);
+
+        controller.model.setLevel(1, 'subtraction');
+        expect(controller.shouldShowNumberLine()).toBe(false);
+        controller.userStorage.setNumberLineEnabled(true);
+        expect(controller.shouldShowNumberLine()).toBe(true);
+
+        controller.model.setLevel(4, 'subtraction');
+        expect(controller.shouldShowNumberLine()).toBe(false);
+    });
+
+    test('Wrong answer shows one hop per unit from num1 to the answer', async () => {
+        controller.model.setLevel(5, 'subtraction');
+        controller.model.currentProblem = { num1: 7, num2: 3, operation: '-', answer: 4 };
+        document.getElementById('terminal-input').value = '5';
+
+        await controller.checkAnswer();
+
+        const numberLine = document.getElementById('feedback-number-line');
+        expect(numberLine.querySelectorAll('.number-line-jump')).toHaveLength(3);
+        expect(numberLine.querySelectorAll('.number-line-label')).toHaveLength(11);
+        const highlighted = Array.from(numberLine.querySelectorAll('.number-line-label.highlight'))
+            .map(label => label.textContent);
+        expect(highlighted).toEqual(['4', '7']);
+    });
+
+    test('Number line is not shown when the parent setting is off', async () => {
+        controller.model.setLevel(1, 'subtraction');
+        controller.model.currentProblem = { num1: 7, num2: 3, operation: '-', answer: 4 };
+        document.getElementById('terminal-input').value = '5';
+
+        await controller.checkAnswer();
+
+        expect(document.getElementById('feedback-number-line').innerHTML).toBe('');
+    });
+
+    test('Key 0 on the level screen toggles the parent setting', () => {
+        controller.setupNumberLineToggle();
+        const levelOptions = document.getElementById('level-options');
+        expect(levelOptions.style.display).toBe('block');
+        expect(levelOptions.textContent).toContain(localization.t('SETTING_OFF'));
+
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: '0', bubbles: true, cancelable: true }));
+
+        expect(controller.userStorage.isNumberLineEnabled()).toBe(true);
+        expect(levelOptions.textContent).toContain(localization.t('SETTING_ON'));
+    });
+});
+
+describe('Sentences Reading', () => {
+    let controller;
+
+    // Number keys also select subjects on the document, so the event stays on the input
+    const pressKey = (key) => {
+        const event = new KeyboardEvent('keydown', { key: key, bubbles: false, cancelable: true });
+        document.getElementById('terminal-input').dispatchEvent(event);
+        return event;
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="login-modal" style="display: none;"></div>
+            <div id="breadcrumb-nav"></div>
+            <div id="user-info"></div>
+            <div id="user-display"></div>
+            <button id="logout-button"></button>
+            <div id="subject-select" class="screen"></div>
+            <div id="operation-select" class="screen"></div>
+            <div id="level-select" class="screen"></div>
+            <div id="game-screen" class="screen"><div class="instructions"></div></div>
+            <div id="problem-display"></div>
+            <div id="problem-display-compact"></div>
+            <div id="calculation-container"></div>
+            <div id="calculation-history"></div>
+            <div id="standard-display"></div>
+            <input type="text" id="terminal-input">
+            <div id="score-display"></div>
+            <div id="stumbled-words" style="display: none;"></div>
+            <div id="problems-display"></div>
+            <div id="terminal-message"></div>
+            <ul class="subject-list"></ul>
+            <ul class="operation-list"></ul>
+            <ul class="level-list"></ul>
+            <div id="feedback-modal">
+                <div id="feedback-header"></div>
+                <span id="feedback-emoji"></span>
+                <div id="feedback-badge"></div>
+                <div id="feedback-footer"></div>
+                <div id="feedback-number-line"></div>
+            </div>
+        `;
+
+        const localization = new LocalizationModel('bg');
+        controller = new AppController(localization, new SubjectManager(), new UserStorageModel());
+        controller.currentSubject = 'bulgarian';
+        controller.model = new BulgarianLanguageModel(localization, SentencesActivity);
+        controller.model.currentProblem = SentencesActivity.buildProblem('Зимен ден', [
+            'Навън вали сняг.', 'Ива и Петър облякоха топли якета.', 'Те направиха снежен човек.'
+        ]);
+        controller.view.displayProblem(controller.model.currentProblem);
+        controller.bindGameEvents();
+    });
+
+    afterEach(() => {
+        document.removeEventListener('keydown', controller.globalNavigationHandler);
+        document.body.innerHTML = '';
+    });
+
+    test('Number keys mark the words of the current sentence', () => {
+        expect(pressKey('3').defaultPrevented).toBe(true);
+        expect(controller.model.currentProblem.markedWords).toEqual([2]);
+        expect(document.querySelector('.sentence-word.stumbled').textContent).toBe('сняг.3');
+
+        pressKey('3');
+        expect(controller.model.currentProblem.markedWords).toEqual([]);
+
+        // The first sentence has only three words
+        pressKey('4');
+        expect(controller.model.currentProblem.markedWords).toEqual([]);
+    });
+
+    test('Judging a sentence records marked words and dismissing turns to the next sentence and page', () => {
+        const problem = controller.model.currentProblem;
+
+        pressKey('3');
+        controller.checkAnswerAsWrong();
+        expect(controller.model.stumbledWords).toEqual({ 'сняг': 1 });
+        expect(document.getElementById('stumbled-words').textContent).toContain('сняг');
+
+        controller.handleDeleteKey();
+        expect(controller.model.currentProblem).toBe(problem);
+        expect(problem.currentSentence).toBe(1);
+
+        controller.checkAnswerAsWrong();
+        controller.handleDeleteKey();
+        expect(problem.currentPage).toBe(1);
+        expect(problem.currentSentence).toBe(0);
+        expect(document.querySelector('.story-page-number').textContent).toContain('2/2');
+
+        // After the last sentence a new reading starts
+        controller.checkAnswerAsWrong();
+        controller.handleDeleteKey();
+        expect(controller.model.currentProblem).not.toBe(problem);
+    });
+});
@@ -94,15 +94,72 @@ describe('Math Operations - Addition', () => {
             expect(problem.currentStep).toBe(1);
             expect(problem.stepAnswers).toHaveLength(4);
 
-            expect(problem.stepAnswers[0]).toBe(problem.onesSum);
-            expect(problem.stepAnswers[1]).toBe(problem.carryOver);
-            expect(problem.stepAnswers[2]).toBe(problem.tensSum + problem.carryOver);
+            const onesSum = problem.num1 % 10 + problem.num2 % 10;
+            const carryOver = Math.floor(onesSum / 10);
+            expect(problem.stepAnswers[0]).toBe(onesSum);
+            expect(problem.stepAnswers[1]).toBe(carryOver);
+            expect(problem.stepAnswers[2]).toBe(Math.floor(problem.num1 / 10) + Math.floor(problem.num2 / 10) + carryOver);
             expect(problem.stepAnswers[3]).toBe(problem.answer);
             
             expect(problem.answer).toBe(problem.num1 + problem.num2);
         }
     });
 
+    test('Addition Levels 5-6 (missing addend) ask for one of the operands', () => {
+        const maxima = { 5: 10, 6: 20 };
+
+        Object.keys(maxima).forEach(level => {
+            mathModel.setLevel(parseInt(level), 'addition');
+
+            for (let i = 0; i < 50; i++) {
+                const problem = mathModel.generateProblem();
+
+                expect(problem.operation).toBe('+');
+                expect(['num1', 'num2']).toContain(problem.unknownSlot);
+                expect(problem.num1 + problem.num2).toBe(problem.result);
+                expect(problem.result).toBeLessThanOrEqual(maxima[level]);
+                expect(problem.answer).toBe(problem[problem.unknownSlot]);
+            }
+        });
+    });
+
+    test('Addition Levels 7-8 (column calculation) use three and four digits', () => {
+        const expectations = { 7: { digits: 3, steps: 6 }, 8: { digits: 4, steps: 8 } };
+
+        Object.keys(expectations).forEach(level => {
+            mathModel.setLevel(parseInt(level), 'addition');
+
+            for (let i = 0; i < 50; i++) {
+                const problem = mathModel.generateProblem();
+
+                expect(problem.operation).toBe('place_value_calculation');
+                expect(String(problem.num1)).toHaveLength(expectations[level].digits);
+                expect(String(problem.num2)).toHaveLength(expectations[level].digits);
+                expect(problem.stepAnswers).toHaveLength(expectations[level].steps);
+                expect(problem.stepAnswers[problem.stepAnswers.length - 1]).toBe(problem.answer);
+                expect(problem.answer).toBe(problem.num1 + problem.num2);
+            }
+        });
+    });
+
+    test('Addition Level 9 (make ten) splits the sum through 10', () => {
+        mathModel.setLevel(9, 'addition');
+
+        for (let i = 0; i < 50; i++) {
+            const problem = mathModel.generateProblem();
+            const [toTen, rest, total] = problem.stepAnswers;
+
+            expect(problem.operation).toBe('make_ten');
+            expect(problem.answer).toBeGreaterThan(10);
+            expect(problem.num1 + toTen).toBe(10);
+            expect(toTen + rest).toBe(problem.num2);
+            expect(rest).toBeGreaterThan(0);
+            expect(total).toBe(problem.answer);
+            expect(problem.steps[0].tooltipKey).toBe('TOOLTIP_MAKE_TEN');
+            expect(localization.t(problem.steps[1].tooltipKey)).not.toBe(problem.steps[1].tooltipKey);
+        }
+    });
+
     test('checkAnswer correctly validates correct answers', () => {
         mathModel.setLevel(1, 'addition');
         const problem = mathModel.generateProblem();
@@ -209,6 +266,43 @@ describe('Math Operations - Subtraction', () => {
         }
     });
 
+    test('Subtraction Levels 5-6 (missing number) ask for the minuend or subtrahend', () => {
+        const maxima = { 5: 10, 6: 20 };
+
+        Object.keys(maxima).forEach(level => {
+            mathModel.setLevel(parseInt(level), 'subtraction');
+
+            for (let i = 0; i < 50; i++) {
+                const problem = mathModel.generateProblem();
+
+                expect(problem.operation).toBe('-');
+                expect(['num1', 'num2']).toContain(problem.unknownSlot);
+                expect(problem.num1 - problem.num2).toBe(problem.result);
+                expect(problem.result).toBeGreaterThanOrEqual(0);
+                expect(problem.num1).toBeLessThanOrEqual(maxima[level]);
+                expect(problem.answer).toBe(problem[problem.unknownSlot]);
+            }
+        });
+    });
+
+    test('Subtraction Levels 7-8 (column calculation) use three and four digits', () => {
+        const expectations = { 7: { digits: 3, steps: 6 }, 8: { digits: 4, steps: 8 } };
+
+        Object.keys(expectations).forEach(level => {
+            mathModel.setLevel(parseInt(level), 'subtraction');
+
+            for (let i = 0; i < 50; i++) {
+                const problem = mathModel.generateProblem();
+
+                expect(problem.operation).toBe('place_value_calculation');
+                expect(String(problem.num1)).toHaveLength(expectations[level].digits);
+                expect(problem.stepAnswers).toHaveLength(expectations[level].steps);
+                expect(problem.answer).toBe(problem.num1 - problem.num2);
+                expect(problem.answer).toBeGreaterThanOrEqual(0);
+            }
+        });
+    });
+
     test('Subtraction Level 4 (place value calculation) generates correct answers', () => {
         mathModel.setLevel(4, 'subtraction');
 
@@ -219,9 +313,10 @@ describe('Math Operations - Subtraction', () => {
             expect(problem.currentStep).toBe(1);
             expect(problem.stepAnswers).toHaveLength(4);
 
-            expect(problem.stepAnswers[0]).toBe(problem.onesFinal);
-            expect(problem.stepAnswers[1]).toBe(problem.borrow);
-            expect(problem.stepAnswers[2]).toBe(problem.tensFinal);
+            const borrow = problem.num1 % 10 < problem.num2 % 10 ? 1 : 0;
+            expect(problem.stepAnswers[0]).toBe(problem.num1 % 10 + borrow * 10 - problem.num2 % 10);
+            expect(problem.stepAnswers[1]).toBe(borrow);
+            expect(problem.stepAnswers[2]).toBe(Math.floor(problem.num1 / 10) - Math.floor(problem.num2 / 10) - borrow);
             expect(problem.stepAnswers[3]).toBe(problem.answer);
             
             expect(problem.answer).toBe(problem.num1 - problem.num2);
@@ -232,6 +327,904 @@ describe('Math Operations - Subtraction', () => {
 
 
 
+describe('Math Operations - Multiplication', () => {
+    let localization;
+    let operationManager;
+    let multiplicationExtension;
+    let mathModel;
+
+    beforeEach(() => {
+        localization = new LocalizationModel('bg');
+        operationManager = new OperationManager();
+        multiplicationExtension = operationManager.getOperationExtension('multiplication');
+        mathModel = new MathModel(localization, multiplicationExtension);
+    });
+
+    test('Multiplication is registered in OperationManager', () => {
+        expect(operationManager.hasOperation('multiplication')).toBe(true);
+        expect(operationManager.getOperationKey('multiplication')).toBe('MULTIPLICATION');
+        expect(operationManager.getOperationIcon('multiplication')).toBe('×');
+    });
+
+    test('Multiplication Level 1 (repeated addition) generates equal emoji groups', () => {
+        mathModel.setLevel(1, 'multiplication');
+
+        for (let i = 0; i < 50; i++) {
+            const problem = mathModel.generateProblem();
+
+            expect(problem.operation).toBe('repeated_addition');
+            expect(MultiplicationLevels.getGroupEmojis()).toContain(problem.emoji);
+            expect(problem.groupCount).toBeGreaterThanOrEqual(2);
+            expect(problem.groupCount).toBeLessThanOrEqual(5);
+            expect(problem.groupSize).toBeGreaterThanOrEqual(1);
+            expect(problem.groupSize).toBeLessThanOrEqual(5);
+            expect(problem.answer).toBe(problem.groupCount * problem.groupSize);
+        }
+    });
+
+    test('Multiplication Levels 2-4 use a single times table', () => {
+        const tables = { 2: 2, 3: 5, 4: 10 };
+
+        Object.keys(tables).forEach(level => {
+            mathModel.setLevel(parseInt(level), 'multiplication');
+
+            for (let i = 0; i < 30; i++) {
+                const problem = mathModel.generateProblem();
+
+                expect(problem.operation).toBe('×');
+                expect(problem.num2).toBe(tables[level]);
+                expect(problem.num1).toBeGreaterThanOrEqual(1);
+                expect(problem.num1).toBeLessThanOrEqual(10);
+                expect(problem.answer).toBe(problem.num1 * problem.num2);
+            }
+        });
+    });
+
+    test('Multiplication Level 5 (mixed tables) stays within 10 × 10', () => {
+        mathModel.setLevel(5, 'multiplication');
+
+        for (let i = 0; i < 100; i++) {
+            const problem = mathModel.generateProblem();
+
+            expect(problem.operation).toBe('×');
+            expect(problem.num1).toBeLessThanOrEqual(10);
+            expect(problem.num2).toBeLessThanOrEqual(10);
+            expect(problem.answer).toBe(problem.num1 * problem.num2);
+        }
+    });
+
+    test('Multiplication Level 6 (place value calculation) generates correct steps', () => {
+        mathModel.setLevel(6, 'multiplication');
+
+        for (let i = 0; i < 50; i++) {
+            const problem = mathModel.generateProblem();
+
+            expect(problem.operation).toBe('place_value_calculation');
+            expect(problem.operationSign).toBe('×');
+            expect(problem.currentStep).toBe(1);
+            expect(problem.stepAnswers).toHaveLength(4);
+
+            expect(problem.num1).toBeGreaterThanOrEqual(10);
+            expect(problem.num1).toBeLessThanOrEqual(99);
+            expect(problem.num2).toBeGreaterThanOrEqual(2);
+            expect(problem.num2).toBeLessThanOrEqual(9);
+
+            const onesProduct = (problem.num1 % 10) * problem.num2;
+            const carryOver = Math.floor(onesProduct / 10);
+            expect(problem.stepAnswers[0]).toBe(onesProduct);
+            expect(problem.stepAnswers[1]).toBe(carryOver);
+            expect(problem.stepAnswers[2]).toBe(Math.floor(problem.num1 / 10) * problem.num2 + carryOver);
+            expect(problem.stepAnswers[3]).toBe(problem.answer);
+
+            expect(problem.answer).toBe(problem.num1 * problem.num2);
+        }
+    });
+
+    test('Multiplication levels have localized descriptions', () => {
+        const levels = mathModel.getLocalizedLevels();
+
+        Object.values(levels).forEach(level => {
+            expect(level.description).not.toBe(level.descriptionKey);
+        });
+    });
+});
+
+describe('Math Operations - Division', () => {
+    let localization;
+    let operationManager;
+    let divisionExtension;
+    let mathModel;
+
+    beforeEach(() => {
+        localization = new LocalizationModel('bg');
+        operationManager = new OperationManager();
+        divisionExtension = operationManager.getOperationExtension('division');
+        mathModel = new MathModel(localization, divisionExtension);
+    });
+
+    test('Division is registered in OperationManager', () => {
+        expect(operationManager.hasOperation('division')).toBe(true);
+        expect(operationManager.getOperationKey('division')).toBe('DIVISION');
+        expect(operationManager.getOperationIcon('division')).toBe('÷');
+    });
+
+    test('Division Level 1 (fair sharing) splits objects equally', () => {
+        mathModel.setLevel(1, 'division');
+
+        for (let i = 0; i < 50; i++) {
+            const problem = mathModel.generateProblem();
+
+            expect(problem.operation).toBe('fair_sharing');
+            expect(DivisionLevels.getShareEmojis()).toContain(problem.emoji);
+            expect(problem.num2).toBeGreaterThanOrEqual(2);
+            expect(problem.num1 % problem.num2).toBe(0);
+            expect(problem.answer).toBe(problem.num1 / problem.num2);
+            expect(problem.answer).toBeGreaterThanOrEqual(1);
+        }
+    });
+
+    test('Division Level 2 (exact division) comes from the times tables', () => {
+        mathModel.setLevel(2, 'division');
+
+        for (let i = 0; i < 100; i++) {
+            const problem = mathModel.generateProblem();
+
+            expect(problem.operation).toBe('÷');
+            expect(problem.num1 % problem.num2).toBe(0);
+            expect(problem.answer).toBe(problem.num1 / problem.num2);
+            expect(problem.num2).toBeLessThanOrEqual(10);
+            expect(problem.answer).toBeLessThanOrEqual(10);
+        }
+    });
+
+    test('Division Level 3 (remainder) asks for quotient and remainder as two steps', () => {
+        mathModel.setLevel(3, 'division');
+
+        for (let i = 0; i < 100; i++) {
+            const problem = mathModel.generateProblem();
+
+            expect(problem.operation).toBe('division_remainder');
+            expect(problem.currentStep).toBe(1);
+            expect(problem.stepAnswers).toEqual([problem.quotient, problem.remainder]);
+
+            expect(problem.quotient).toBe(Math.floor(problem.num1 / problem.num2));
+            expect(problem.remainder).toBe(problem.num1 % problem.num2);
+            expect(problem.remainder).toBeGreaterThan(0);
+            expect(problem.remainder).toBeLessThan(problem.num2);
+        }
+    });
+});
+
+describe('Math Operations - Comparison', () => {
+    let localization;
+    let operationManager;
+    let comparisonExtension;
+    let mathModel;
+
+    const expectedSymbol = (num1, num2) => (num1 < num2 ? '<' : (num1 > num2 ? '>' : '='));
+
+    beforeEach(() => {
+        localization = new LocalizationModel('bg');
+        operationManager = new OperationManager();
+        comparisonExtension = operationManager.getOperationExtension('comparison');
+        mathModel = new MathModel(localization, comparisonExtension);
+    });
+
+    test('Comparison Level 1 compares two emoji groups', () => {
+        mathModel.setLevel(1, 'comparison');
+
+        for (let i = 0; i < 50; i++) {
+            const problem = mathModel.generateProblem();
+
+            expect(problem.operation).toBe('comparison');
+            expect(ComparisonLevels.getGroupEmojis()).toContain(problem.emoji);
+            expect(problem.num1).toBeGreaterThanOrEqual(1);
+            expect(problem.num1).toBeLessThanOrEqual(10);
+            expect(problem.num2).toBeGreaterThanOrEqual(1);
+            expect(problem.num2).toBeLessThanOrEqual(10);
+            expect(problem.answer).toBe(expectedSymbol(problem.num1, problem.num2));
+        }
+    });
+
+    test('Comparison Levels 2-3 compare plain numbers within range', () => {
+        const maxima = { 2: 20, 3: 100 };
+
+        Object.keys(maxima).forEach(level => {
+            mathModel.setLevel(parseInt(level), 'comparison');
+
+            for (let i = 0; i < 50; i++) {
+                const problem = mathModel.generateProblem();
+
+                expect(problem.emoji).toBeNull();
+                expect(problem.num1).toBeLessThanOrEqual(maxima[level]);
+                expect(problem.num2).toBeLessThanOrEqual(maxima[level]);
+                expect(problem.allowedSymbols).toEqual(['<', '>', '=']);
+                expect(problem.answer).toBe(expectedSymbol(problem.num1, problem.num2));
+            }
+        });
+    });
+
+    test('checkAnswer compares symbol answers as strings', () => {
+        mathModel.currentProblem = ComparisonLevels.buildProblem(3, 7);
+
+        expect(mathModel.checkAnswer('<')).toBe(true);
+        expect(mathModel.checkAnswer(' < ')).toBe(true);
+        expect(mathModel.checkAnswer('>')).toBe(false);
+        expect(mathModel.checkAnswer('=')).toBe(false);
+    });
+
+    test('checkAnswer accepts = for equal numbers', () => {
+        mathModel.currentProblem = ComparisonLevels.buildProblem(5, 5);
+
+        expect(mathModel.checkAnswer('=')).toBe(true);
+        expect(mathModel.checkAnswer('5')).toBe(false);
+    });
+});
+
+describe('Math Operations - Counting', () => {
+    let localization;
+    let operationManager;
+    let countingExtension;
+    let mathModel;
+
+    beforeEach(() => {
+        localization = new LocalizationModel('bg');
+        operationManager = new OperationManager();
+        countingExtension = operationManager.getOperationExtension('counting');
+        mathModel = new MathModel(localization, countingExtension);
+    });
+
+    test('Counting levels use the expected arrangement and range', () => {
+        const expectations = {
+            1: { arrangement: 'rows', max: 10 },
+            2: { arrangement: 'ten_frame', max: 20 },
+            3: { arrangement: 'scattered', max: 10 },
+            4: { arrangement: 'scattered', max: 20 }
+        };
+
+        Object.keys(expectations).forEach(level => {
+            mathModel.setLevel(parseInt(level), 'counting');
+
+            for (let i = 0; i < 50; i++) {
+                const problem = mathModel.generateProblem();
+
+                expect(problem.operation).toBe('emoji_counting');
+                expect(problem.arrangement).toBe(expectations[level].arrangement);
+                expect(CountingLevels.getCountingEmojis()).toContain(problem.display);
+                expect(problem.count).toBeGreaterThanOrEqual(1);
+                expect(problem.count).toBeLessThanOrEqual(expectations[level].max);
+                expect(problem.answer).toBe(problem.count);
+            }
+        });
+    });
+
+    test('Scattered objects get one distinct position each', () => {
+        mathModel.setLevel(4, 'counting');
+
+        for (let i = 0; i < 50; i++) {
+            const problem = mathModel.generateProblem();
+            const keys = problem.positions.map(position => `${position.x},${position.y}`);
+
+            expect(problem.positions).toHaveLength(problem.count);
+            expect(new Set(keys).size).toBe(problem.count);
+            problem.positions.forEach(position => {
+                expect(position.x).toBeGreaterThan(0);
+                expect(position.x).toBeLessThan(100);
+                expect(position.y).toBeGreaterThan(0);
+                expect(position.y).toBeLessThan(100);
+            });
+        }
+    });
+
+    test('checkAnswer accepts the number of objects', () => {
+        mathModel.setLevel(1, 'counting');
+        const problem = mathModel.generateProblem();
+
+        expect(mathModel.checkAnswer(String(problem.count))).toBe(true);
+        expect(mathModel.checkAnswer(String(problem.count + 1))).toBe(false);
+    });
+});
+
+describe('Math Operations - Clock', () => {
+    let localization;
+    let operationManager;
+    let clockExtension;
+    let mathModel;
+
+    beforeEach(() => {
+        localization = new LocalizationModel('bg');
+        operationManager = new OperationManager();
+        clockExtension = operationManager.getOperationExtension('time');
+        mathModel = new MathModel(localization, clockExtension);
+    });
+
+    test('Clock levels use the expected minute marks', () => {
+        const expectations = {
+            1: [0],
+            2: [0, 30],
+            3: [0, 15, 30, 45],
+            4: [0, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50, 55]
+        };
+
+        Object.keys(expectations).forEach(level => {
+            mathModel.setLevel(parseInt(level), 'time');
+
+            for (let i = 0; i < 50; i++) {
+                const problem = mathModel.generateProblem();
+
+                expect(problem.operation).toBe('clock_reading');
+                expect(problem.hour).toBeGreaterThanOrEqual(1);
+                expect(problem.hour).toBeLessThanOrEqual(12);
+                expect(expectations[level]).toContain(problem.minutes);
+            }
+        });
+    });
+
+    test('Clock problems ask for the hour first, then the minutes', () => {
+        const problem = ClockLevels.buildProblem(3, 5);
+
+        expect(problem.currentStep).toBe(1);
+        expect(problem.stepAnswers).toEqual([3, 5]);
+        expect(problem.steps.map(step => step.labelKey)).toEqual(['STEP_HOUR', 'STEP_MINUTES']);
+        expect(problem.answer).toBe('3:05');
+    });
+});
+
+describe('Math Operations - Sequences', () => {
+    let localization;
+    let operationManager;
+    let sequenceExtension;
+    let mathModel;
+
+    beforeEach(() => {
+        localization = new LocalizationModel('bg');
+        operationManager = new OperationManager();
+        sequenceExtension = operationManager.getOperationExtension('sequences');
+        mathModel = new MathModel(localization, sequenceExtension);
+    });
+
+    test('Sequence levels count with the expected steps', () => {
+        const expectations = {
+            1: [1],
+            2: [2],
+            3: [5],
+            4: [10],
+            5: [2, 3, 4, 5, 10]
+        };
+
+        Object.keys(expectations).forEach(level => {
+            mathModel.setLevel(parseInt(level), 'sequences');
+
+            for (let i = 0; i < 50; i++) {
+                const problem = mathModel.generateProblem();
+
+                expect(problem.operation).toBe('number_sequence');
+                expect(expectations[level]).toContain(Math.abs(problem.step));
+                for (let j = 1; j < problem.sequence.length; j++) {
+                    expect(problem.sequence[j] - problem.sequence[j - 1]).toBe(problem.step);
+                }
+                problem.sequence.forEach(number => {
+                    expect(number).toBeGreaterThanOrEqual(0);
+                    expect(number).toBeLessThanOrEqual(100);
+                });
+                expect(problem.answer).toBe(problem.sequence[problem.missingIndex]);
+            }
+        });
+    });
+
+    test('Skip counting starts on a multiple of the step', () => {
+        mathModel.setLevel(3, 'sequences');
+
+        for (let i = 0; i < 50; i++) {
+            const problem = mathModel.generateProblem();
+            problem.sequence.forEach(number => expect(number % 5).toBe(0));
+        }
+    });
+});
+
+describe('Math Operations - Number Sense', () => {
+    let localization;
+    let operationManager;
+    let numberSenseExtension;
+    let mathModel;
+
+    beforeEach(() => {
+        localization = new LocalizationModel('bg');
+        operationManager = new OperationManager();
+        numberSenseExtension = operationManager.getOperationExtension('number_sense');
+        mathModel = new MathModel(localization, numberSenseExtension);
+    });
+
+    test('Before/after levels ask for a neighbour within range', () => {
+        const expectations = { 1: 10, 2: 100 };
+
+        Object.keys(expectations).forEach(level => {
+            mathModel.setLevel(parseInt(level), 'number_sense');
+
+            for (let i = 0; i < 50; i++) {
+                const problem = mathModel.generateProblem();
+                const expected = problem.relation === 'before' ? problem.num1 - 1 : problem.num1 + 1;
+
+                expect(problem.operation).toBe('number_neighbour');
+                expect(problem.answer).toBe(expected);
+                expect(problem.answer).toBeGreaterThanOrEqual(0);
+                expect(problem.answer).toBeLessThanOrEqual(expectations[level]);
+            }
+        });
+    });
+
+    test('Between level asks for the number in the middle', () => {
+        mathModel.setLevel(3, 'number_sense');
+
+        for (let i = 0; i < 50; i++) {
+            const problem = mathModel.generateProblem();
+
+            expect(problem.relation).toBe('between');
+            expect(problem.num2 - problem.num1).toBe(2);
+            expect(problem.answer).toBe(problem.num1 + 1);
+            expect(problem.num2).toBeLessThanOrEqual(20);
+        }
+    });
+
+    test('Even/odd is answered 0 for even and 1 for odd', () => {
+        [4, 5].forEach(level => {
+            mathModel.setLevel(level, 'number_sense');
+
+            for (let i = 0; i < 50; i++) {
+                const problem = mathModel.generateProblem();
+
+                expect(problem.operation).toBe('even_odd');
+                expect(problem.emoji !== null).toBe(level === 4);
+                expect(problem.answer).toBe(problem.num1 % 2);
+            }
+        });
+
+        mathModel.currentProblem = NumberSenseLevels.buildEvenOddProblem(8);
+        expect(mathModel.checkAnswer('0')).toBe(true);
+        expect(mathModel.checkAnswer('1')).toBe(false);
+    });
+});
+
+describe('Math Operations - Shapes', () => {
+    let localization;
+    let operationManager;
+    let shapeExtension;
+    let mathModel;
+
+    beforeEach(() => {
+        localization = new LocalizationModel('bg');
+        operationManager = new OperationManager();
+        shapeExtension = operationManager.getOperationExtension('shapes');
+        mathModel = new MathModel(localization, shapeExtension);
+    });
+
+    test('Sides and corners levels answer with the number of sides', () => {
+        const expectations = { 1: 'sides', 2: 'corners' };
+
+        Object.keys(expectations).forEach(level => {
+            mathModel.setLevel(parseInt(level), 'shapes');
+
+            for (let i = 0; i < 50; i++) {
+                const problem = mathModel.generateProblem();
+
+                expect(problem.operation).toBe('shape_properties');
+                expect(problem.question).toBe(expectations[level]);
+                expect(problem.answer).toBe(ShapeLevels.getShapes()[problem.shape].sides);
+                expect(localization.t(problem.nameKey)).not.toBe(problem.nameKey);
+            }
+        });
+    });
+
+    test('Picture level counts only the target shape', () => {
+        mathModel.setLevel(3, 'shapes');
+
+        for (let i = 0; i < 50; i++) {
+            const problem = mathModel.generateProblem();
+            const targets = problem.shapes.filter(item => item.shape === problem.target);
+
+            expect(problem.operation).toBe('shape_counting');
+            expect(problem.answer).toBe(targets.length);
+            expect(problem.answer).toBeGreaterThanOrEqual(1);
+            expect(problem.shapes.length).toBeGreaterThan(problem.answer);
+        }
+    });
+});
+
+describe('Math Operations - Fractions', () => {
+    let localization;
+    let operationManager;
+    let fractionExtension;
+    let mathModel;
+
+    beforeEach(() => {
+        localization = new LocalizationModel('bg');
+        operationManager = new OperationManager();
+        fractionExtension = operationManager.getOperationExtension('fractions');
+        mathModel = new MathModel(localization, fractionExtension);
+    });
+
+    test('Reading levels ask for the numerator, then the denominator', () => {
+        const expectations = { 1: 'pie', 2: 'bar' };
+
+        Object.keys(expectations).forEach(level => {
+            mathModel.setLevel(parseInt(level), 'fractions');
+
+            for (let i = 0; i < 50; i++) {
+                const problem = mathModel.generateProblem();
+
+                expect(problem.operation).toBe('fraction_reading');
+                expect(problem.picture).toBe(expectations[level]);
+                expect(problem.stepAnswers).toEqual([problem.numerator, problem.denominator]);
+                expect(problem.numerator).toBeGreaterThanOrEqual(1);
+                expect(problem.numerator).toBeLessThan(problem.denominator);
+            }
+        });
+    });
+
+    test('Comparison level compares fraction values', () => {
+        expect(FractionLevels.buildComparisonProblem([1, 2], [1, 3]).answer).toBe('>');
+        expect(FractionLevels.buildComparisonProblem([1, 4], [1, 3]).answer).toBe('<');
+        expect(FractionLevels.buildComparisonProblem([2, 4], [1, 2]).answer).toBe('=');
+
+        mathModel.setLevel(3, 'fractions');
+        for (let i = 0; i < 50; i++) {
+            const problem = mathModel.generateProblem();
+
+            expect(problem.operation).toBe('fraction_comparison');
+            expect(problem.allowedSymbols).toContain(problem.answer);
+            expect([2, 3, 4]).toContain(problem.fraction1.denominator);
+            expect(mathModel.checkAnswer(problem.answer)).toBe(true);
+        }
+    });
+});
+
+describe('Math Operations - Word Problems', () => {
+    let localization;
+    let operationManager;
+    let wordProblemExtension;
+    let mathModel;
+
+    beforeEach(() => {
+        localization = new LocalizationModel('bg');
+        operationManager = new OperationManager();
+        wordProblemExtension = operationManager.getOperationExtension('word_problems');
+        mathModel = new MathModel(localization, wordProblemExtension);
+    });
+
+    test('Word problem levels use the expected operation and range', () => {
+        const expectations = {
+            1: { kinds: ['add'], max: 10 },
+            2: { kinds: ['subtract'], max: 10 },
+            3: { kinds: ['add', 'subtract'], max: 20 }
+        };
+
+        Object.keys(expectations).forEach(level => {
+            mathModel.setLevel(parseInt(level), 'word_problems');
+
+            for (let i = 0; i < 50; i++) {
+                const problem = mathModel.generateProblem();
+                const expected = problem.kind === 'add' ? problem.num1 + problem.num2 : problem.num1 - problem.num2;
+
+                expect(problem.operation).toBe('word_problem');
+                expect(expectations[level].kinds).toContain(problem.kind);
+                expect(problem.answer).toBe(expected);
+                expect(problem.answer).toBeGreaterThanOrEqual(1);
+                expect(Math.max(problem.num1, problem.answer)).toBeLessThanOrEqual(expectations[level].max);
+                expect(problem.text).not.toMatch(/[{}]/);
+                expect(problem.text).toContain(String(problem.num1));
+            }
+        });
+    });
+
+    test('Nouns agree with their numbers in Bulgarian', () => {
+        const pencil = { one: 'молив', many: 'молива' };
+        const apple = { one: 'ябълка', many: 'ябълки' };
+
+        expect(localization.formatCount(1, pencil)).toBe('1 молив');
+        expect(localization.formatCount(3, pencil)).toBe('3 молива');
+        expect(localization.formatCount(1, apple)).toBe('1 ябълка');
+        expect(localization.formatCount(5, apple)).toBe('5 ябълки');
+    });
+
+    test('The same generator builds English stories', () => {
+        const english = new LocalizationModel('en');
+        const problem = WordProblemLevels.generateProblem(1, english);
+        const names = english.t('WORD_PROBLEM_NAMES');
+
+        expect(names.some(name => problem.text.includes(name))).toBe(true);
+        expect(problem.text).toMatch(/How many/);
+    });
+});
+
+describe('Math Operations - Measurement', () => {
+    let localization;
+    let operationManager;
+    let measurementExtension;
+    let mathModel;
+
+    beforeEach(() => {
+        localization = new LocalizationModel('bg');
+        operationManager = new OperationManager();
+        measurementExtension = operationManager.getOperationExtension('measurement');
+        mathModel = new MathModel(localization, measurementExtension);
+    });
+
+    test('Length comparison answers with the number of the longest/shortest bar', () => {
+        mathModel.setLevel(1, 'measurement');
+
+        for (let i = 0; i < 50; i++) {
+            const problem = mathModel.generateProblem();
+            const chosen = problem.items[problem.answer - 1];
+
+            expect(problem.operation).toBe('length_comparison');
+            expect(new Set(problem.items).size).toBe(problem.items.length);
+            if (problem.target === 'longest') {
+                expect(chosen).toBe(Math.max(...problem.items));
+            } else {
+                expect(chosen).toBe(Math.min(...problem.items));
+            }
+        }
+    });
+
+    test('Weight comparison answers with the number of the heaviest/lightest object', () => {
+        mathModel.setLevel(2, 'measurement');
+        const objects = MeasurementLevels.getWeightedObjects();
+
+        for (let i = 0; i < 50; i++) {
+            const problem = mathModel.generateProblem();
+            const weights = problem.items.map(item => objects.indexOf(item));
+            const chosen = weights[problem.answer - 1];
+
+            expect(problem.operation).toBe('weight_comparison');
+            expect(chosen).toBe(problem.target === 'heaviest' ? Math.max(...weights) : Math.min(...weights));
+        }
+    });
+
+    test('Unit measuring answers with the length in blocks', () => {
+        mathModel.setLevel(3, 'measurement');
+
+        for (let i = 0; i < 50; i++) {
+            const problem = mathModel.generateProblem();
+
+            expect(problem.operation).toBe('unit_measuring');
+            expect(problem.answer).toBe(problem.length);
+            expect(problem.length).toBeGreaterThanOrEqual(2);
+            expect(problem.length).toBeLessThanOrEqual(10);
+        }
+    });
+});
+
+describe('Math Operations - Calendar', () => {
+    let localization;
+    let operationManager;
+    let calendarExtension;
+    let mathModel;
+
+    beforeEach(() => {
+        localization = new LocalizationModel('bg');
+        operationManager = new OperationManager();
+        calendarExtension = operationManager.getOperationExtension('calendar');
+        mathModel = new MathModel(localization, calendarExtension);
+    });
+
+    test('Day questions wrap around the week', () => {
+        const days = localization.tArray('DAY_NAMES');
+
+        for (let i = 0; i < 100; i++) {
+            const problem = CalendarLevels.generateDayQuestion(days, localization);
+
+            if (problem.question.includes('неделя') && problem.question.includes('след')) {
+                expect(problem.answer).toBe(1);
+            }
+            if (problem.question.includes('понеделник') && problem.question.includes('преди')) {
+                expect(problem.answer).toBe(7);
+            }
+            expect(problem.answer).toBeGreaterThanOrEqual(1);
+            expect(problem.answer).toBeLessThanOrEqual(7);
+        }
+    });
+
+    test('Calendar levels fill names into every question', () => {
+        const expectations = { 1: 7, 2: 12, 3: 4, 4: null };
+
+        Object.keys(expectations).forEach(level => {
+            mathModel.setLevel(parseInt(level), 'calendar');
+
+            for (let i = 0; i < 50; i++) {
+                const problem = mathModel.generateProblem();
+
+                expect(problem.operation).toBe('calendar');
+                expect(problem.question).not.toMatch(/[{}]/);
+                expect(problem.options ? problem.options.length : null).toBe(expectations[level]);
+                expect(problem.answer).toBeGreaterThanOrEqual(1);
+                expect(problem.answer).toBeLessThanOrEqual(12);
+            }
+        });
+    });
+
+    test('Months belong to the right season', () => {
+        const seasons = CalendarLevels.getMonthSeasons();
+
+        expect(seasons[0]).toBe(4);  // January - winter
+        expect(seasons[3]).toBe(1);  // April - spring
+        expect(seasons[6]).toBe(2);  // July - summer
+        expect(seasons[9]).toBe(3);  // October - autumn
+    });
+
+    test('Names are localized in English too', () => {
+        const english = new LocalizationModel('en');
+
+        expect(english.tArray('DAY_NAMES')).toHaveLength(7);
+        expect(english.tArray('MONTH_NAMES')).toHaveLength(12);
+        expect(CalendarLevels.generateProblem(3, english).question).toMatch(/season/);
+    });
+});
+
+describe('Math Operations - Review', () => {
+    let localization;
+    let operationManager;
+
+    beforeEach(() => {
+        localization = new LocalizationModel('bg');
+        operationManager = new OperationManager();
+    });
+
+    test('Review is a composite operation with a single level', () => {
+        expect(operationManager.isCompositeOperation('review')).toBe(true);
+        expect(operationManager.isCompositeOperation('addition')).toBe(false);
+
+        const review = new ReviewLevels(operationManager, { addition: [1] });
+        expect(Object.keys(review.getLevels())).toEqual(['1']);
+        expect(review.getOperationKey()).toBe('REVIEW');
+    });
+
+    test('Review only uses played levels and interleaves the operations', () => {
+        const review = new ReviewLevels(operationManager, { addition: [1], subtraction: [2], counting: [1] });
+        const mathModel = new MathModel(localization, review);
+        mathModel.setLevel(1, 'current');
+
+        let previousOperation = null;
+        for (let i = 0; i < 50; i++) {
+            const problem = mathModel.generateProblem();
+
+            expect(['addition', 'subtraction', 'counting']).toContain(problem.reviewOperation);
+            expect(problem.reviewOperation).not.toBe(previousOperation);
+            if (problem.reviewOperation === 'addition') {
+                expect(problem.answer).toBeLessThanOrEqual(10);
+            }
+            previousOperation = problem.reviewOperation;
+        }
+    });
+
+    test('Review skips unknown operations and levels, and falls back to the first levels', () => {
+        const review = new ReviewLevels(operationManager, { review: [1], unknown: [1], addition: [99] });
+        const operations = review.pool.map(entry => `${entry.operation}:${entry.level}`);
+        expect(operations).toEqual(['addition:1', 'subtraction:1']);
+    });
+
+    test('Review keeps results per operation', () => {
+        const review = new ReviewLevels(operationManager, { addition: [1], subtraction: [1] });
+        const mathModel = new MathModel(localization, review);
+
+        const first = mathModel.generateProblem();
+        expect(mathModel.checkAnswer(first.answer)).toBe(true);
+        mathModel.updateScore();
+
+        const second = mathModel.generateProblem();
+        mathModel.recordWrongAnswer();
+
+        const results = mathModel.getGameState().operationResults;
+        expect(results[first.reviewOperation]).toEqual({ icon: first.reviewIcon, correct: 1, wrong: 0 });
+        expect(results[second.reviewOperation]).toEqual({ icon: second.reviewIcon, correct: 0, wrong: 1 });
+
+        mathModel.resetStats();
+        expect(mathModel.getGameState().operationResults).toEqual({});
+    });
+
+    test('Review counts a step-by-step problem once, however many steps are wrong', () => {
+        const review = new ReviewLevels(operationManager, { addition: [4] });
+        const mathModel = new MathModel(localization, review);
+
+        const problem = mathModel.generateProblem();
+        expect(problem.stepAnswers.length).toBeGreaterThan(1);
+        mathModel.recordWrongAnswer();
+        mathModel.recordWrongAnswer();
+        mathModel.recordWrongAnswer();
+        mathModel.updateScore();
+
+        expect(mathModel.getGameState().operationResults.addition).toEqual({ icon: problem.reviewIcon, correct: 0, wrong: 1 });
+
+        mathModel.generateProblem();
+        mathModel.updateScore();
+        expect(mathModel.getGameState().operationResults.addition).toEqual({ icon: problem.reviewIcon, correct: 1, wrong: 1 });
+    });
+
+    test('Review rewards in the words of the current operation', () => {
+        const review = new ReviewLevels(operationManager, { counting: [1] });
+        review.generateProblem(1, localization);
+        expect(review.getRewardMessages()).toEqual(CountingLevels.getRewardMessages());
+    });
+
+    test('Other operations do not keep per-operation results', () => {
+        const mathModel = new MathModel(localization, operationManager.getOperationExtension('addition'));
+        mathModel.generateProblem();
+        mathModel.updateScore();
+        mathModel.recordWrongAnswer();
+        expect(mathModel.getGameState().operationResults).toEqual({});
+    });
+});
+
+describe('Math Operations - Money', () => {
+    let localization;
+    let operationManager;
+    let moneyExtension;
+    let mathModel;
+
+    beforeEach(() => {
+        localization = new LocalizationModel('bg');
+        operationManager = new OperationManager();
+        moneyExtension = operationManager.getOperationExtension('money');
+        mathModel = new MathModel(localization, moneyExtension);
+    });
+
+    test('Money total levels add up real coins and notes', () => {
+        const expectations = {
+            1: { currency: 'BGN', unit: 'minor', max: 99 },
+            2: { currency: 'BGN', unit: 'major', max: 100 },
+            4: { currency: 'EUR', unit: 'minor', max: 99 },
+            5: { currency: 'EUR', unit: 'major', max: 100 }
+        };
+
+        Object.keys(expectations).forEach(level => {
+            mathModel.setLevel(parseInt(level), 'money');
+            const denominations = MoneyLevels.getCurrencies()[expectations[level].currency];
+
+            for (let i = 0; i < 50; i++) {
+                const problem = mathModel.generateProblem();
+                const total = problem.items.reduce((sum, item) => sum + item.value, 0);
+
+                expect(problem.operation).toBe('money_total');
+                expect(problem.currency).toBe(expectations[level].currency);
+                expect(problem.items.length).toBeGreaterThanOrEqual(2);
+                problem.items.forEach(item => {
+                    expect(item.unit).toBe(expectations[level].unit);
+                    const valid = item.unit === 'minor'
+                        ? denominations.minorCoins
+                        : (item.type === 'note' ? denominations.notes : denominations.majorCoins);
+                    expect(valid).toContain(item.value);
+                });
+                expect(problem.answer).toBe(total);
+                expect(problem.answer).toBeLessThanOrEqual(expectations[level].max);
+            }
+        });
+    });
+
+    test('Money change levels pay with a note larger than the price', () => {
+        [3, 6].forEach(level => {
+            mathModel.setLevel(level, 'money');
+
+            for (let i = 0; i < 50; i++) {
+                const problem = mathModel.generateProblem();
+
+                expect(problem.operation).toBe('money_change');
+                expect(problem.items).toEqual([{ value: problem.paid, unit: 'major', type: 'note' }]);
+                expect(problem.price).toBeLessThan(problem.paid);
+                expect(problem.answer).toBe(problem.paid - problem.price);
+                expect(problem.answer).toBeGreaterThan(0);
+            }
+        });
+    });
+
+    test('Every money question has a translation', () => {
+        for (let level = 1; level <= 6; level++) {
+            mathModel.setLevel(level, 'money');
+            const problem = mathModel.generateProblem();
+
+            expect(localization.t(problem.questionKey)).not.toBe(problem.questionKey);
+        }
+    });
+});
+
 describe('Math Model - State Management', () => {
     let localization;
     let operationManager;
@@ -350,9 +1343,10 @@ describe('Bug Fix - Place Value Calculation Completion', () => {
         expect(problem.currentStep).toBe(1);
         expect(problem.stepAnswers).toHaveLength(4);
         
-        expect(problem.stepAnswers[0]).toBe(problem.onesFinal);
-        expect(problem.stepAnswers[1]).toBe(problem.borrow);
-        expect(problem.stepAnswers[2]).toBe(problem.tensFinal);
+        const borrow = problem.num1 % 10 < problem.num2 % 10 ? 1 : 0;
+        expect(problem.stepAnswers[0]).toBe(problem.num1 % 10 + borrow * 10 - problem.num2 % 10);
+        expect(problem.stepAnswers[1]).toBe(borrow);
+        expect(problem.stepAnswers[2]).toBe(Math.floor(problem.num1 / 10) - Math.floor(problem.num2 / 10) - borrow);
         expect(problem.stepAnswers[3]).toBe(problem.answer);
     });
 });
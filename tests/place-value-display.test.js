@@ -0,0 +1,90 @@
+/**
+ * Test suite for the place value display
+ * Tests that base-ten blocks follow the steps of two-digit calculations
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load AppView class
+const appViewCode = fs.readFileSync(path.join(__dirname, '../js/views/AppView.js'), 'utf8');
+new Function(appViewCode + '\nglobalThis.AppView = AppView;')();
+
+describe('Place Value Display - Base-Ten Blocks', () => {
+    let view;
+
+    const blocks = () => document.querySelector('#calculation-history .base-ten-blocks');
+    const count = (selector) => blocks().querySelectorAll(selector).length;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="game-screen"><div class="instructions"></div></div>
+            <div id="problem-display"></div>
+            <div id="problem-display-compact"></div>
+            <div id="calculation-container"></div>
+            <div id="calculation-history"></div>
+            <div id="standard-display"></div>
+            <input type="number" id="terminal-input">
+        `;
+        view = new AppView(new LocalizationModel('bg'));
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    test('Recognition shows one rod per ten and one cube per one', () => {
+        view.displayProblem({ num1: 47, display: 47, questionType: 'ones', operation: 'place_value_recognition', answer: 7 });
+
+        const display = document.getElementById('problem-display');
+        expect(display.querySelectorAll('.ten-rod')).toHaveLength(4);
+        expect(display.querySelectorAll('.unit-cube')).toHaveLength(7);
+    });
+
+    test('Addition with carry boxes ten ones, then shows them as a new rod', () => {
+        const problem = ColumnCalculation.createProblem(27, 35, '+');
+
+        view.displayProblem(problem);
+        expect(count('.base-ten-group')).toBe(2);
+
+        problem.currentStep = 2;
+        view.displayProblem(problem);
+        expect(count('.ten-rod')).toBe(5);
+        expect(count('.regroup-bundle .unit-cube')).toBe(10);
+        expect(count('.unit-cube')).toBe(12);
+
+        problem.currentStep = 3;
+        view.displayProblem(problem);
+        expect(count('.ten-rod')).toBe(6);
+        expect(count('.ten-rod.new')).toBe(1);
+        expect(count('.unit-cube')).toBe(2);
+    });
+
+    test('Addition without carry has nothing to regroup', () => {
+        const problem = ColumnCalculation.createProblem(21, 34, '+');
+        problem.currentStep = 2;
+
+        view.displayProblem(problem);
+
+        expect(count('.regroup-bundle')).toBe(0);
+        expect(count('.unit-cube')).toBe(5);
+    });
+
+    test('Subtraction with borrow breaks a ten into ones', () => {
+        const problem = ColumnCalculation.createProblem(32, 18, '-');
+
+        view.displayProblem(problem);
+        const minuend = blocks().querySelector('.base-ten-group');
+        expect(minuend.querySelectorAll('.ten-rod')).toHaveLength(2);
+        expect(minuend.querySelectorAll('.regroup-bundle .unit-cube')).toHaveLength(10);
+        expect(minuend.querySelectorAll('.unit-cube')).toHaveLength(12);
+    });
+
+    test('Three-digit and multiplication steps show no blocks', () => {
+        view.displayProblem(ColumnCalculation.createProblem(478, 356, '+'));
+        expect(blocks()).toBeNull();
+
+        view.displayProblem(ColumnCalculation.createProblem(23, 7, '×'));
+        expect(blocks()).toBeNull();
+    });
+});
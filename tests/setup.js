@@ -7,14 +7,33 @@ const files = [
     'js/services/ApiService.js',  // Must be loaded first - used by UserStorageModel
     'js/models/core/LocalizationModel.js',
     'js/models/core/UserStorageModel.js',
+    'js/models/subjects/math/ColumnCalculation.js',
     'js/models/subjects/math/activities/AdditionLevels.js',
     'js/models/subjects/math/activities/SubtractionLevels.js',
+    'js/models/subjects/math/activities/MultiplicationLevels.js',
+    'js/models/subjects/math/activities/DivisionLevels.js',
+    'js/models/subjects/math/activities/ComparisonLevels.js',
+    'js/models/subjects/math/activities/CountingLevels.js',
+    'js/models/subjects/math/activities/ClockLevels.js',
+    'js/models/subjects/math/activities/MoneyLevels.js',
+    'js/models/subjects/math/activities/SequenceLevels.js',
+    'js/models/subjects/math/activities/NumberSenseLevels.js',
+    'js/models/subjects/math/activities/ShapeLevels.js',
+    'js/models/subjects/math/activities/FractionLevels.js',
+    'js/models/subjects/math/activities/WordProblemLevels.js',
+    'js/models/subjects/math/activities/MeasurementLevels.js',
+    'js/models/subjects/math/activities/CalendarLevels.js',
+    'js/models/subjects/math/activities/ReviewLevels.js',
     'js/models/subjects/math/activities/PlaceValueActivity.js',
     'js/models/subjects/math/OperationManager.js',
     'js/models/subjects/math/MathModel.js',
+    'js/models/subjects/bulgarian/Syllabifier.js',
     'js/models/subjects/bulgarian/activities/LettersActivity.js',
     'js/models/subjects/bulgarian/activities/SyllablesActivity.js',
     'js/models/subjects/bulgarian/activities/WordsActivity.js',
+    'js/models/subjects/bulgarian/activities/BuildWordActivity.js',
+    'js/models/subjects/bulgarian/activities/MissingLetterActivity.js',
+    'js/models/subjects/bulgarian/activities/SentencesActivity.js',
     'js/models/subjects/bulgarian/BulgarianActivityManager.js',
     'js/models/subjects/bulgarian/BulgarianLanguageModel.js',
     'js/models/core/SubjectManager.js'
@@ -0,0 +1,52 @@
+/**
+ * Test suite for the Bulgarian syllabifier
+ * Tests the syllable division rules listed in Syllabifier.js
+ */
+
+describe('Syllabifier - Division Rules', () => {
+    test('One consonant between vowels goes to the next syllable', () => {
+        expect(Syllabifier.split('БАЩА')).toEqual(['БА', 'ЩА']);
+        expect(Syllabifier.split('ВОДА')).toEqual(['ВО', 'ДА']);
+        expect(Syllabifier.split('ПЪТЯ')).toEqual(['ПЪ', 'ТЯ']);
+        expect(Syllabifier.split('ПЛАНИНА')).toEqual(['ПЛА', 'НИ', 'НА']);
+    });
+
+    test('Two consonants between vowels are split', () => {
+        expect(Syllabifier.split('КАРТА')).toEqual(['КАР', 'ТА']);
+        expect(Syllabifier.split('ДЪРВО')).toEqual(['ДЪР', 'ВО']);
+        expect(Syllabifier.split('МОМЧЕТО')).toEqual(['МОМ', 'ЧЕ', 'ТО']);
+        expect(Syllabifier.split('МАЙКА')).toEqual(['МАЙ', 'КА']);
+    });
+
+    test('Three or more consonants: the first goes to the previous syllable', () => {
+        expect(Syllabifier.split('СЕСТРА')).toEqual(['СЕС', 'ТРА']);
+        expect(Syllabifier.split('КОНТРОЛ')).toEqual(['КОН', 'ТРОЛ']);
+        expect(Syllabifier.split('ЧЕТВЪРТЪК')).toEqual(['ЧЕТ', 'ВЪР', 'ТЪК']);
+        expect(Syllabifier.split('МАЙСТОР')).toEqual(['МАЙ', 'СТОР']);
+    });
+
+    test('Groups at the beginning and end attach to the nearest vowel', () => {
+        expect(Syllabifier.split('ЦВЕТЕ')).toEqual(['ЦВЕ', 'ТЕ']);
+        expect(Syllabifier.split('СТРУНА')).toEqual(['СТРУ', 'НА']);
+        expect(Syllabifier.split('ЖИВОТ')).toEqual(['ЖИ', 'ВОТ']);
+        expect(Syllabifier.split('ГРАД')).toEqual(['ГРАД']);
+    });
+
+    test('Adjacent vowels and word-initial Ю/Я start their own syllables', () => {
+        expect(Syllabifier.split('ЗАЕКЧЕ')).toEqual(['ЗА', 'ЕК', 'ЧЕ']);
+        expect(Syllabifier.split('ЯГОДА')).toEqual(['Я', 'ГО', 'ДА']);
+        expect(Syllabifier.split('ЮНАК')).toEqual(['Ю', 'НАК']);
+        expect(Syllabifier.split('УЧИТЕЛ')).toEqual(['У', 'ЧИ', 'ТЕЛ']);
+    });
+
+    test('Ь stays with the consonant before it', () => {
+        expect(Syllabifier.split('СИНЬО')).toEqual(['СИ', 'НЬО']);
+        expect(Syllabifier.split('ШОФЬОР')).toEqual(['ШО', 'ФЬОР']);
+    });
+
+    test('Lowercase words keep their case and hyphenate joins with dashes', () => {
+        expect(Syllabifier.split('котенце')).toEqual(['ко', 'тен', 'це']);
+        expect(Syllabifier.hyphenate('ЗВЕЗДАТА')).toBe('ЗВЕЗ-ДА-ТА');
+        expect(Syllabifier.hyphenate('А')).toBe('А');
+    });
+});
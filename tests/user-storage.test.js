@@ -96,6 +96,36 @@ describe('User Storage - UserStorageModel', () => {
         });
     });
 
+    describe('Played Levels', () => {
+        test('should record played levels per user and operation', () => {
+            userStorage.setLocalUser('LocalUser');
+            userStorage.recordPlayedLevel('addition', 3);
+            userStorage.recordPlayedLevel('addition', 1);
+            userStorage.recordPlayedLevel('addition', 3);
+            userStorage.recordPlayedLevel('counting', 2);
+
+            expect(userStorage.getPlayedLevels()).toEqual({ addition: [1, 3], counting: [2] });
+
+            userStorage.setLocalUser('OtherUser');
+            expect(userStorage.getPlayedLevels()).toEqual({});
+        });
+    });
+
+    describe('Number Line Setting', () => {
+        test('should keep the number line setting per user', () => {
+            userStorage.setLocalUser('LocalUser');
+            expect(userStorage.isNumberLineEnabled()).toBe(false);
+            userStorage.setNumberLineEnabled(true);
+            expect(userStorage.isNumberLineEnabled()).toBe(true);
+
+            userStorage.setLocalUser('OtherUser');
+            expect(userStorage.isNumberLineEnabled()).toBe(false);
+
+            userStorage.setLocalUser('LocalUser');
+            expect(userStorage.isNumberLineEnabled()).toBe(true);
+        });
+    });
+
     describe('API User Management', () => {
         test('should login API user', async () => {
             const result = await userStorage.login('test@example.com', 'password', 'token');